@@ -0,0 +1,7 @@
+// Used by jest only; vite builds the extension with esbuild
+module.exports = {
+  presets: [
+    ["@babel/preset-env", { targets: { node: "current" } }],
+    "@babel/preset-typescript",
+  ],
+};
@@ -1,5 +1,7 @@
 // Openrouter Panel Background Service Worker
 
+import { TabSearchIndex } from "./tab-search-index.js";
+
 class TabContextManager {
   constructor() {
     this.contexts = new Map();
@@ -36,9 +38,20 @@ class WebAutomationService {
       rateLimitPer30s: 20,
     };
     this.rateCounter = new Map(); // key: tabId, value: { count, windowStart }
+    // Bumped on every cancel request; long-running loops compare against the
+    // value they started with and bail out when it changes
+    this.cancelGeneration = 0;
     this._initSettingsWatcher();
   }
 
+  cancelPending() {
+    this.cancelGeneration += 1;
+  }
+
+  isCancelled(generation) {
+    return generation !== this.cancelGeneration;
+  }
+
   // Only allow injection on standard web pages
   static isInjectableUrl(url) {
     if (!url || typeof url !== "string") return false;
@@ -274,8 +287,18 @@ class WebAutomationService {
       const policy = await this._enforcePolicies(tabId, "wait_for_element");
       if (!policy.success) return policy;
 
+      const generation = this.cancelGeneration;
       const start = Date.now();
       while (Date.now() - start < timeout) {
+        if (this.isCancelled(generation)) {
+          return {
+            success: false,
+            cancelled: true,
+            error: "Cancelled",
+            action: "wait_for_element",
+            params: { selector, tabId },
+          };
+        }
         const result = await chrome.scripting.executeScript({
           target: { tabId },
           func: (sel) => !!document.querySelector(sel),
@@ -735,8 +758,17 @@ class WebAutomationService {
       );
       if (!policy.success) return policy;
 
+      const generation = this.cancelGeneration;
       const start = Date.now();
       while (Date.now() - start < timeout) {
+        if (this.isCancelled(generation)) {
+          return {
+            success: false,
+            cancelled: true,
+            error: "Cancelled",
+            action: "wait_for_any_selector",
+          };
+        }
         const result = await chrome.scripting.executeScript({
           target: { tabId },
           func: (sels) => sels.some((s) => !!document.querySelector(s)),
@@ -770,9 +802,13 @@ class WebAutomationService {
     { includeUsed = false, minCount = 1, timeout = 15000 } = {}
   ) {
     try {
+      const generation = this.cancelGeneration;
       const start = Date.now();
       let lastCount = 0;
       while (Date.now() - start < timeout) {
+        if (this.isCancelled(generation)) {
+          return { success: false, cancelled: true, error: "Cancelled" };
+        }
         const res = await this.extractGoogleShoppingOffers(tabId, {
           includeUsed,
           maxResults: Math.max(minCount * 3, 12),
@@ -1081,6 +1117,7 @@ function buildContextSummary(context) {
 
 // Initialize services
 const tabContextManager = new TabContextManager();
+const tabSearchIndex = new TabSearchIndex();
 const webAutomationService = new WebAutomationService();
 const googleSheetsService = new GoogleSheetsService();
 const todoService = new TodoService();
@@ -1093,8 +1130,7 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
     WebAutomationService.isInjectableUrl(tab.url)
   ) {
     try {
-      const context = await webAutomationService.getPageContent(tabId);
-      await tabContextManager.updateTabContext(tabId, context);
+      await refreshTabContext(tabId);
     } catch (error) {
       console.error("Failed to extract context for tab:", tabId, error);
     }
@@ -1103,8 +1139,38 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
 
 chrome.tabs.onRemoved.addListener((tabId) => {
   tabContextManager.removeTabContext(tabId);
+  tabSearchIndex.removeTab(tabId);
 });
 
+// Extract a tab's content into the context manager and the search index
+async function refreshTabContext(tabId) {
+  const result = await webAutomationService.getPageContent(tabId, false);
+  if (!result?.success) return false;
+  await tabContextManager.updateTabContext(tabId, result.data);
+  tabSearchIndex.updateTab(tabId, result.data);
+  return true;
+}
+
+// The service worker loses its index when it is suspended; index any loaded
+// tabs that are missing before a search
+async function ensureTabsIndexed(limit = 30) {
+  const tabs = await chrome.tabs.query({});
+  const missing = tabs
+    .filter(
+      (t) =>
+        t.id != null &&
+        t.status === "complete" &&
+        !t.discarded &&
+        WebAutomationService.isInjectableUrl(t.url || "") &&
+        !tabSearchIndex.hasTab(t.id)
+    )
+    .slice(0, limit);
+  await Promise.all(
+    missing.map((t) => refreshTabContext(t.id).catch(() => false))
+  );
+  return tabs.length;
+}
+
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
   tabContextManager.activeTabId = activeInfo.tabId;
 });
@@ -1190,7 +1256,40 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           });
           break;
 
+        case "search_tabs": {
+          if (!request.query || !String(request.query).trim()) {
+            sendResponse({
+              success: false,
+              error: "Missing query",
+              action: "search_tabs",
+            });
+            break;
+          }
+          const openTabs = await ensureTabsIndexed();
+          const results = tabSearchIndex.search(String(request.query), {
+            limit: Math.min(Math.max(Number(request.limit) || 6, 1), 20),
+            tabIds: Array.isArray(request.tabIds) ? request.tabIds : null,
+          });
+          sendResponse({
+            success: true,
+            action: "search_tabs",
+            params: { query: request.query },
+            data: {
+              indexedTabs: tabSearchIndex.chunksByTab.size,
+              openTabs,
+              results,
+            },
+          });
+          break;
+        }
+
+        case "cancel_automation":
+          webAutomationService.cancelPending();
+          sendResponse({ success: true, action: "cancel_automation" });
+          break;
+
         case "fetch_prices": {
+          const generation = webAutomationService.cancelGeneration;
           try {
             // Resolve query from request or active tab context
             let query = (request.query || "").trim();
@@ -1266,6 +1365,16 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                 timeout: 25000,
               });
 
+              if (webAutomationService.isCancelled(generation)) {
+                sendResponse({
+                  success: false,
+                  cancelled: true,
+                  action: "fetch_prices",
+                  error: "Cancelled",
+                });
+                break;
+              }
+
               const offers =
                 await webAutomationService.extractGoogleShoppingOffers(
                   targetTabId,
@@ -1284,7 +1393,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             } else {
               // Multi-store flow: iterate sources and collect offers
               const allOffers = [];
+              let cancelled = false;
               for (const src of sources) {
+                if (webAutomationService.isCancelled(generation)) {
+                  cancelled = true;
+                  break;
+                }
                 let url = "";
                 const q = encodeURIComponent(query);
                 switch (String(src).toLowerCase()) {
@@ -1352,10 +1466,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
               );
               const limit = Number(request.maxResults) || allOffers.length || 5;
               sendResponse({
-                success: true,
+                success: !cancelled,
+                cancelled: cancelled || undefined,
                 action: "fetch_prices",
                 params: { query, sources, maxPerSource },
                 data: allOffers.slice(0, Math.max(1, limit)),
+                error: cancelled ? "Cancelled" : undefined,
               });
             }
           } catch (e) {
@@ -1869,6 +1985,66 @@ async function seedPromptAndOpenSidepanel(promptText, windowId) {
   }
 }
 
+// Template picks carry the selection and tab; the sidepanel fills in the
+// remaining variables
+async function seedTemplateAndOpenSidepanel(seed, windowId) {
+  try {
+    await chrome.storage.local.set({
+      seed_template: { ...seed, createdAt: Date.now() },
+    });
+  } catch (error) {
+    console.error("Failed to seed template:", error);
+  }
+  await seedPromptAndOpenSidepanel("", windowId);
+}
+
+// Default templates (src/lib/templates.ts) behind the built-in menu items and
+// shortcuts; the sidepanel uses the user's edited copy when there is one
+const SUMMARIZE_TEMPLATE_ID = "summarize-page";
+const EXPLAIN_TEMPLATE_ID = "explain-selection";
+
+const TEMPLATE_MENU_ID = "sidepanel_ai_templates";
+const TEMPLATE_ITEM_PREFIX = "sidepanel_ai_template:";
+const TEMPLATE_MENU_CONTEXTS = ["page", "frame", "selection"];
+
+// Prompt templates from the sidepanel library, under one submenu. Rebuilds
+// are chained so quick successive edits cannot interleave.
+let templateMenuUpdate = Promise.resolve();
+function refreshTemplateMenus() {
+  templateMenuUpdate = templateMenuUpdate.then(async () => {
+    try {
+      const { prompt_templates } = await chrome.storage.local.get([
+        "prompt_templates",
+      ]);
+      const templates = Array.isArray(prompt_templates)
+        ? prompt_templates.filter((t) => t && t.id && t.name)
+        : [];
+      // Removing the parent removes its items
+      await chrome.contextMenus.remove(TEMPLATE_MENU_ID).catch(() => {});
+      if (templates.length === 0) return;
+      chrome.contextMenus.create({
+        id: TEMPLATE_MENU_ID,
+        title: "Prompt templates",
+        contexts: TEMPLATE_MENU_CONTEXTS,
+      });
+      for (const t of templates) {
+        chrome.contextMenus.create({
+          id: `${TEMPLATE_ITEM_PREFIX}${t.id}`,
+          parentId: TEMPLATE_MENU_ID,
+          title: t.name,
+          contexts: TEMPLATE_MENU_CONTEXTS,
+        });
+      }
+    } catch (error) {
+      console.warn("Failed to update template menus:", error);
+    }
+  });
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.prompt_templates) refreshTemplateMenus();
+});
+
 // Sidepanel management + context menu creation
 chrome.runtime.onInstalled.addListener(() => {
   console.log("Openrouter Panel extension installed");
@@ -1886,6 +2062,7 @@ chrome.runtime.onInstalled.addListener(() => {
   } catch (e) {
     // Ignore if already exists
   }
+  refreshTemplateMenus();
 });
 
 // Context menu click handling
@@ -1894,14 +2071,30 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
     if (!tab) return;
     const windowId = tab.windowId;
     if (info.menuItemId === "sidepanel_ai_ask_page") {
-      const prompt = "Summarize this page and answer likely questions.";
-      await seedPromptAndOpenSidepanel(prompt, windowId);
+      await seedTemplateAndOpenSidepanel(
+        { templateId: SUMMARIZE_TEMPLATE_ID, tabId: tab.id },
+        windowId
+      );
     } else if (info.menuItemId === "sidepanel_ai_ask_selection") {
-      const sel = (info.selectionText || "").trim();
-      const prompt = sel
-        ? `Explain the following selection, provide key takeaways, and answer questions.\n\n${sel}`
-        : "Explain the current selection on this page.";
-      await seedPromptAndOpenSidepanel(prompt, windowId);
+      await seedTemplateAndOpenSidepanel(
+        {
+          templateId: EXPLAIN_TEMPLATE_ID,
+          selection: (info.selectionText || "").trim(),
+          tabId: tab.id,
+        },
+        windowId
+      );
+    } else if (String(info.menuItemId).startsWith(TEMPLATE_ITEM_PREFIX)) {
+      await seedTemplateAndOpenSidepanel(
+        {
+          templateId: String(info.menuItemId).slice(
+            TEMPLATE_ITEM_PREFIX.length
+          ),
+          selection: (info.selectionText || "").trim(),
+          tabId: tab.id,
+        },
+        windowId
+      );
     }
   } catch (error) {
     console.error("Context menu handler error:", error);
@@ -1921,7 +2114,10 @@ chrome.commands.onCommand.addListener(async (command) => {
         await seedPromptAndOpenSidepanel("", windowId);
         break;
       case "summarize_page":
-        await seedPromptAndOpenSidepanel("Summarize this page.", windowId);
+        await seedTemplateAndOpenSidepanel(
+          { templateId: SUMMARIZE_TEMPLATE_ID, tabId: activeTab?.id },
+          windowId
+        );
         break;
       case "ask_selection": {
         let selectionText = "";
@@ -1935,10 +2131,14 @@ chrome.commands.onCommand.addListener(async (command) => {
         } catch (_e) {
           // No content script on this page or restricted context
         }
-        const prompt = selectionText
-          ? `Explain the following selection, provide key takeaways, and answer questions.\n\n${selectionText}`
-          : "Explain the current selection on this page.";
-        await seedPromptAndOpenSidepanel(prompt, windowId);
+        await seedTemplateAndOpenSidepanel(
+          {
+            templateId: EXPLAIN_TEMPLATE_ID,
+            selection: selectionText.trim(),
+            tabId: activeTab?.id,
+          },
+          windowId
+        );
         break;
       }
     }
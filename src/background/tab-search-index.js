@@ -0,0 +1,165 @@
+// Cross-tab retrieval: a BM25 index over paragraph-aligned chunks of every
+// tab context. Tabs are re-chunked as they finish loading and dropped when
+// closed, keeping document frequencies current without rebuilding the whole
+// index.
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be but by for from has have how i in is it its of on " +
+    "or that the this to was were what when where which who why will with you"
+  ).split(" ")
+);
+
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+}
+
+// Split page text into ~800 character chunks along paragraph boundaries
+export function chunkText(text, maxChars = 800) {
+  const paragraphs = String(text || "")
+    .split(/\n+/)
+    .map((p) => p.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+  const chunks = [];
+  let current = "";
+  for (const para of paragraphs) {
+    if (current && current.length + para.length + 1 > maxChars) {
+      chunks.push(current);
+      current = "";
+    }
+    if (para.length > maxChars) {
+      for (let i = 0; i < para.length; i += maxChars) {
+        chunks.push(para.slice(i, i + maxChars));
+      }
+      continue;
+    }
+    current = current ? `${current} ${para}` : para;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+export class TabSearchIndex {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.chunksByTab = new Map(); // tabId -> chunk[]
+    this.docFreq = new Map(); // term -> number of chunks containing it
+    this.chunkCount = 0;
+    this.totalLength = 0;
+  }
+
+  hasTab(tabId) {
+    return this.chunksByTab.has(tabId);
+  }
+
+  updateTab(tabId, context) {
+    this.removeTab(tabId);
+    const title = context?.title || "";
+    const url = context?.url || "";
+    const chunks = chunkText(context?.text || "").map((text, index) => {
+      // The title is indexed with every chunk so page-level topics match
+      const terms = tokenize(`${title} ${text}`);
+      const tf = new Map();
+      for (const term of terms) tf.set(term, (tf.get(term) || 0) + 1);
+      return { tabId, index, title, url, text, tf, length: terms.length };
+    });
+    for (const chunk of chunks) {
+      for (const term of chunk.tf.keys()) {
+        this.docFreq.set(term, (this.docFreq.get(term) || 0) + 1);
+      }
+      this.totalLength += chunk.length;
+    }
+    this.chunkCount += chunks.length;
+    this.chunksByTab.set(tabId, chunks);
+  }
+
+  removeTab(tabId) {
+    const chunks = this.chunksByTab.get(tabId);
+    if (!chunks) return;
+    for (const chunk of chunks) {
+      for (const term of chunk.tf.keys()) {
+        const n = (this.docFreq.get(term) || 0) - 1;
+        if (n > 0) this.docFreq.set(term, n);
+        else this.docFreq.delete(term);
+      }
+      this.totalLength -= chunk.length;
+    }
+    this.chunkCount -= chunks.length;
+    this.chunksByTab.delete(tabId);
+  }
+
+  search(query, { limit = 6, tabIds = null, perTab = 3 } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || this.chunkCount === 0) return [];
+    const avgLength = this.totalLength / this.chunkCount || 1;
+    const scored = [];
+    for (const [tabId, chunks] of this.chunksByTab) {
+      if (tabIds && !tabIds.includes(tabId)) continue;
+      for (const chunk of chunks) {
+        let score = 0;
+        for (const term of terms) {
+          const f = chunk.tf.get(term);
+          if (!f) continue;
+          const df = this.docFreq.get(term) || 0;
+          const idf = Math.log(1 + (this.chunkCount - df + 0.5) / (df + 0.5));
+          score +=
+            (idf * f * (this.k1 + 1)) /
+            (f + this.k1 * (1 - this.b + (this.b * chunk.length) / avgLength));
+        }
+        if (score > 0) scored.push({ chunk, score });
+      }
+    }
+    scored.sort((a, b) => b.score - a.score);
+    // Cap passages per tab so one long page does not fill every slot
+    const taken = new Map();
+    const results = [];
+    for (const { chunk, score } of scored) {
+      const n = taken.get(chunk.tabId) || 0;
+      if (n >= perTab) continue;
+      taken.set(chunk.tabId, n + 1);
+      results.push({
+        tabId: chunk.tabId,
+        title: chunk.title,
+        url: chunk.url,
+        passage: chunk.index + 1,
+        score: Number(score.toFixed(3)),
+        text: chunk.text,
+        citation: `[${markdownLabel(chunk.title || chunk.url)} §${
+          chunk.index + 1
+        }](${markdownUrl(textFragmentUrl(chunk.url, chunk.text))})`,
+      });
+      if (results.length >= limit) break;
+    }
+    return results;
+  }
+}
+
+// Link that scrolls to the passage using a text fragment
+function textFragmentUrl(url, passage) {
+  if (!url) return "";
+  const words = passage.split(/\s+/).slice(0, 8).join(" ");
+  return `${url.split("#")[0]}#:~:text=${encodeFragmentText(words)}`;
+}
+
+function percentEncode(c) {
+  return `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")}`;
+}
+
+// `-`, `&` and `,` delimit parts of a text directive, so they must be
+// percent-encoded inside the quoted text
+function encodeFragmentText(text) {
+  return encodeURIComponent(text).replace(/[-&,]/g, percentEncode);
+}
+
+// Keep titles and URLs from ending the Markdown link early
+function markdownLabel(text) {
+  return text.replace(/[\\[\]]/g, "\\$&");
+}
+
+function markdownUrl(url) {
+  return url.replace(/[()\s]/g, percentEncode);
+}
@@ -0,0 +1,130 @@
+import { TabSearchIndex, chunkText } from "./tab-search-index.js";
+
+function page(title, url, paragraphs) {
+  return { title, url, text: paragraphs.join("\n") };
+}
+
+// Punctuation adds length without adding terms, so each padded paragraph
+// lands in a chunk of its own
+const padding = " " + "-".repeat(500);
+
+describe("chunkText", () => {
+  it("packs paragraphs up to the size limit", () => {
+    expect(chunkText("one two\n\nthree\nfour", 12)).toEqual([
+      "one two",
+      "three four",
+    ]);
+  });
+
+  it("splits paragraphs longer than the limit", () => {
+    expect(chunkText("x".repeat(25), 10)).toEqual([
+      "x".repeat(10),
+      "x".repeat(10),
+      "x".repeat(5),
+    ]);
+  });
+});
+
+describe("TabSearchIndex", () => {
+  let index;
+
+  beforeEach(() => {
+    index = new TabSearchIndex();
+    index.updateTab(
+      1,
+      page("Rust ownership", "https://doc.test/rust", [
+        "Ownership rules: each value has a single owner." + padding,
+        "Borrowing lets code use a value without taking ownership." + padding,
+      ])
+    );
+    index.updateTab(
+      2,
+      page("Pasta recipes", "https://food.test/pasta", [
+        "Boil the pasta in salted water for nine minutes.",
+      ])
+    );
+    index.updateTab(
+      3,
+      page("Garbage collection", "https://doc.test/gc", [
+        "A tracing collector frees a value once nothing references it.",
+      ])
+    );
+  });
+
+  it("ranks the chunk that matches the query best first", () => {
+    const [top] = index.search("borrowing ownership");
+    expect(top.tabId).toBe(1);
+    expect(top.passage).toBe(2);
+  });
+
+  it("weights rare terms above common ones", () => {
+    // "value" is on two tabs, "collector" only on one
+    const results = index.search("value collector");
+    expect(results[0].tabId).toBe(3);
+  });
+
+  it("ignores stopwords and returns nothing without matches", () => {
+    expect(index.search("the and of")).toEqual([]);
+    expect(index.search("kubernetes")).toEqual([]);
+  });
+
+  it("matches page titles from every chunk", () => {
+    const results = index.search("rust");
+    expect(results.map((r) => r.passage).sort()).toEqual([1, 2]);
+  });
+
+  it("limits results per tab and overall", () => {
+    expect(index.search("ownership value", { perTab: 1 })).toHaveLength(2);
+    expect(index.search("ownership value", { limit: 1 })).toHaveLength(1);
+  });
+
+  it("searches only the requested tabs", () => {
+    const results = index.search("value", { tabIds: [3] });
+    expect(results.map((r) => r.tabId)).toEqual([3]);
+  });
+
+  it("cites passages with a text fragment link", () => {
+    const [top] = index.search("pasta");
+    expect(top.citation).toBe(
+      "[Pasta recipes §1](https://food.test/pasta#:~:text=" +
+        "Boil%20the%20pasta%20in%20salted%20water%20for%20nine)"
+    );
+  });
+
+  it("encodes text directive delimiters in the highlighted words", () => {
+    index.updateTab(
+      4,
+      page("Trade-offs", "https://a.test/x", ["Speed, cost & well-being"])
+    );
+    const [top] = index.search("well-being");
+    expect(top.citation).toContain(
+      "#:~:text=Speed%2C%20cost%20%26%20well%2Dbeing)"
+    );
+  });
+
+  it("escapes brackets in titles and parentheses in URLs", () => {
+    index.updateTab(
+      4,
+      page("[Draft] Notes", "https://wiki.test/Foo_(bar)", ["Zebra facts"])
+    );
+    const [top] = index.search("zebra");
+    expect(top.citation).toBe(
+      "[\\[Draft\\] Notes §1](https://wiki.test/Foo_%28bar%29#:~:text=Zebra%20facts)"
+    );
+  });
+
+  it("forgets closed tabs and their term counts", () => {
+    index.removeTab(3);
+    expect(index.hasTab(3)).toBe(false);
+    expect(index.search("collector")).toEqual([]);
+    expect(index.docFreq.has("collector")).toBe(false);
+    expect(index.chunkCount).toBe(3);
+  });
+
+  it("replaces a tab's chunks when it is updated", () => {
+    index.updateTab(2, page("Bread", "https://food.test/bread", ["Knead."]));
+    expect(index.search("pasta")).toEqual([]);
+    expect(index.search("knead")[0].tabId).toBe(2);
+    expect(index.chunkCount).toBe(4);
+  });
+});
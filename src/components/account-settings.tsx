@@ -0,0 +1,179 @@
+import { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { LogIn, LogOut } from "lucide-react";
+import * as OR from "@/utils/openrouter-client.js";
+import { formatUsd } from "@/lib/ledger";
+import type { AuthInfo } from "@/lib/auth";
+
+type AccountSettingsProps = {
+  apiKey: string;
+  onApiKeyChange: (key: string) => void;
+  authInfo: AuthInfo | null;
+  onSignIn: () => Promise<void>;
+  onSignOut: () => Promise<void>;
+};
+
+type KeyStatus =
+  | { state: "idle" | "checking" | "invalid" }
+  | { state: "valid"; detail: string }
+  | { state: "error"; detail: string };
+
+function describeKey(info: any): string {
+  return [
+    info?.label,
+    info?.is_free_tier ? "free tier" : "",
+    typeof info?.limit_remaining === "number"
+      ? `${formatUsd(info.limit_remaining)} left on this key`
+      : "",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+// OpenRouter sign-in (PKCE), with pasting a key as the fallback. The stored
+// key is checked against `/key`, which needs a valid key.
+export function AccountSettings({
+  apiKey,
+  onApiKeyChange,
+  authInfo,
+  onSignIn,
+  onSignOut,
+}: AccountSettingsProps) {
+  const [status, setStatus] = useState<KeyStatus>({ state: "idle" });
+  const [signingIn, setSigningIn] = useState(false);
+  const [notice, setNotice] = useState("");
+  const signedIn = !!authInfo && !!apiKey;
+
+  async function check(key: string) {
+    setStatus({ state: "checking" });
+    try {
+      const info = await new OR.OpenRouterClient(key).getKeyInfo();
+      setStatus({ state: "valid", detail: describeKey(info) });
+    } catch (error: any) {
+      setStatus(
+        error instanceof OR.AuthError
+          ? { state: "invalid" }
+          : { state: "error", detail: error?.message || String(error) }
+      );
+    }
+  }
+
+  useEffect(() => {
+    if (signedIn) check(apiKey);
+    else setStatus({ state: "idle" });
+  }, [signedIn, apiKey]);
+
+  async function signIn() {
+    setSigningIn(true);
+    setNotice("");
+    try {
+      await onSignIn();
+    } catch (error: any) {
+      setNotice(error?.message || String(error));
+    } finally {
+      setSigningIn(false);
+    }
+  }
+
+  async function signOut() {
+    if (!confirm("Sign out and remove the OpenRouter key from this browser?")) {
+      return;
+    }
+    await onSignOut();
+    setNotice(
+      "Signed out. The key stays valid on OpenRouter until you delete it in your account's key settings."
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="text-sm font-medium">OpenRouter Account</div>
+      {signedIn ? (
+        <>
+          <div className="flex items-center gap-2">
+            <div className="flex-1 text-sm">
+              {authInfo?.method === "oauth"
+                ? "Signed in with OpenRouter"
+                : "Using a pasted API key"}
+              {authInfo?.label ? ` (${authInfo.label})` : ""}
+            </div>
+            <Button
+              variant="ghost"
+              size="sm"
+              disabled={status.state === "checking"}
+              onClick={() => check(apiKey)}
+            >
+              Check
+            </Button>
+            <Button variant="secondary" size="sm" onClick={signOut}>
+              <LogOut className="h-4 w-4" />
+              Sign out
+            </Button>
+          </div>
+          <div
+            className={
+              status.state === "invalid" || status.state === "error"
+                ? "text-xs text-red-600"
+                : "text-xs text-muted-foreground"
+            }
+          >
+            {status.state === "checking"
+              ? "Checking key..."
+              : status.state === "valid"
+              ? `Key works${status.detail ? `: ${status.detail}` : ""}`
+              : status.state === "invalid"
+              ? "OpenRouter rejected this key. Sign out and sign in again."
+              : status.state === "error"
+              ? `Could not check the key: ${status.detail}`
+              : ""}
+          </div>
+        </>
+      ) : (
+        <>
+          <Button className="w-full" disabled={signingIn} onClick={signIn}>
+            <LogIn className="h-4 w-4" />
+            {signingIn
+              ? "Waiting for OpenRouter..."
+              : "Sign in with OpenRouter"}
+          </Button>
+          <details className="text-sm">
+            <summary className="cursor-pointer text-xs text-muted-foreground">
+              Paste an API key instead
+            </summary>
+            <div className="mt-2 flex gap-1">
+              <Input
+                type="password"
+                placeholder="sk-or-v1-..."
+                value={apiKey}
+                onChange={(e) => {
+                  onApiKeyChange(e.target.value);
+                  setStatus({ state: "idle" });
+                }}
+              />
+              <Button
+                variant="secondary"
+                disabled={!apiKey.trim() || status.state === "checking"}
+                onClick={() => check(apiKey.trim())}
+              >
+                Check
+              </Button>
+            </div>
+            <div className="mt-1 text-xs text-muted-foreground">
+              {status.state === "checking"
+                ? "Checking key..."
+                : status.state === "valid"
+                ? "Key works. Save to use it."
+                : status.state === "invalid"
+                ? "OpenRouter rejected this key."
+                : status.state === "error"
+                ? `Could not check the key: ${status.detail}`
+                : "Checked with OpenRouter and stored in this browser when you save."}
+            </div>
+          </details>
+        </>
+      )}
+      {notice && <div className="text-xs text-muted-foreground">{notice}</div>}
+    </div>
+  );
+}
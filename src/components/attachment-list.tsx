@@ -0,0 +1,52 @@
+import { FileText, X } from "lucide-react";
+import type { Attachment } from "@/lib/attachments";
+
+type AttachmentListProps = {
+  attachments: Attachment[];
+  // Shown on composer chips; sent messages are read-only
+  onRemove?: (index: number) => void;
+};
+
+function formatSize(bytes: number) {
+  return bytes < 1024 * 1024
+    ? `${Math.max(1, Math.round(bytes / 1024))} KB`
+    : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+export function AttachmentList({ attachments, onRemove }: AttachmentListProps) {
+  if (attachments.length === 0) return null;
+  return (
+    <div className="flex flex-wrap gap-2">
+      {attachments.map((a, i) => (
+        <div
+          key={`${a.name}-${i}`}
+          className="relative flex items-center gap-2 rounded-md border bg-background/60 p-1 pr-2 text-xs max-w-[220px]"
+          title={a.name}
+        >
+          {a.kind === "image" && (a.thumbnail || a.data) ? (
+            <img
+              src={a.thumbnail || a.data}
+              alt={a.name}
+              className="h-10 w-10 rounded object-cover"
+            />
+          ) : (
+            <FileText className="h-5 w-5 shrink-0 text-muted-foreground" />
+          )}
+          <div className="min-w-0">
+            <div className="truncate">{a.name}</div>
+            <div className="text-muted-foreground">{formatSize(a.size)}</div>
+          </div>
+          {onRemove && (
+            <button
+              className="absolute -right-1.5 -top-1.5 rounded-full border bg-card p-0.5"
+              onClick={() => onRemove(i)}
+              title="Remove"
+            >
+              <X className="h-3 w-3" />
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,176 @@
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import { Button } from "@/components/ui/button";
+import { Check, Loader2, Plus, X } from "lucide-react";
+import { ModelPicker } from "@/components/model-picker";
+import { MarkdownLink } from "@/components/markdown-link";
+import {
+  MAX_COMPARE_MODELS,
+  formatLatency,
+  type CompareColumn,
+} from "@/lib/compare";
+import { formatUsd } from "@/lib/ledger";
+import type { ModelPrefs } from "@/lib/models";
+
+function modelName(models: any[], id: string) {
+  return models.find((m) => m.id === id)?.name || id;
+}
+
+type CompareModelBarProps = {
+  models: any[];
+  value: string[];
+  prefs: ModelPrefs;
+  onToggle: (id: string) => void;
+  onToggleFavorite: (id: string) => void;
+};
+
+// The models a compare-mode prompt goes to
+export function CompareModelBar({
+  models,
+  value,
+  prefs,
+  onToggle,
+  onToggleFavorite,
+}: CompareModelBarProps) {
+  return (
+    <div className="flex flex-wrap items-center gap-1 rounded-md border bg-card p-2">
+      <span className="text-xs text-muted-foreground mr-1">Compare</span>
+      {value.map((id) => (
+        <span
+          key={id}
+          className="inline-flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs"
+        >
+          <span className="max-w-40 truncate">{modelName(models, id)}</span>
+          <button
+            className="opacity-60 hover:opacity-100"
+            title="Remove from comparison"
+            onClick={() => onToggle(id)}
+          >
+            <X className="h-3 w-3" />
+          </button>
+        </span>
+      ))}
+      <ModelPicker
+        models={models}
+        value=""
+        prefs={prefs}
+        onSelect={onToggle}
+        onToggleFavorite={onToggleFavorite}
+        renderTrigger={(open) => (
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-6 px-2 text-xs"
+            disabled={value.length >= MAX_COMPARE_MODELS}
+            onClick={open}
+          >
+            <Plus className="h-3 w-3" />
+            Add model
+          </Button>
+        )}
+      />
+    </div>
+  );
+}
+
+function columnStats(column: CompareColumn): string {
+  const r = column.response;
+  return [
+    formatLatency(column.latencyMs),
+    column.firstTokenMs != null
+      ? `first token ${formatLatency(column.firstTokenMs)}`
+      : "",
+    r?.promptTokens || r?.completionTokens
+      ? `${r.promptTokens || 0} in / ${r.completionTokens || 0} out`
+      : "",
+    r?.cost != null ? formatUsd(r.cost) : "",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+type CompareColumnsProps = {
+  models: any[];
+  columns: CompareColumn[];
+  onKeep: (index: number) => void;
+  onDiscard: () => void;
+};
+
+// Answers to the compared prompt in parallel columns; keeping one adds it to
+// the thread and leaves the others as branches
+export function CompareColumns({
+  models,
+  columns,
+  onKeep,
+  onDiscard,
+}: CompareColumnsProps) {
+  const running = columns.some((c) => c.status === "streaming");
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center justify-between text-xs text-muted-foreground">
+        <span>
+          {running
+            ? "Comparing models..."
+            : "Keep one answer as the reply; the others stay as branches."}
+        </span>
+        <Button
+          variant="ghost"
+          size="sm"
+          className="h-6 px-2 text-xs"
+          disabled={running}
+          onClick={onDiscard}
+          title="Discard all answers and return the prompt to the input"
+        >
+          Discard
+        </Button>
+      </div>
+      <div className="flex gap-2 overflow-x-auto pb-1">
+        {columns.map((c, i) => (
+          <div
+            key={c.model}
+            className="flex min-w-[220px] flex-1 flex-col rounded-md border bg-card"
+          >
+            <div className="flex items-center gap-1 border-b px-2 py-1">
+              <span
+                className="flex-1 truncate text-xs font-medium"
+                title={c.model}
+              >
+                {modelName(models, c.model)}
+              </span>
+              {c.status === "streaming" ? (
+                <Loader2 className="h-3.5 w-3.5 animate-spin opacity-60" />
+              ) : (
+                <Button
+                  variant="secondary"
+                  size="sm"
+                  className="h-6 px-2 text-xs"
+                  disabled={running || c.status !== "done" || !c.content}
+                  onClick={() => onKeep(i)}
+                >
+                  <Check className="h-3 w-3" />
+                  Keep
+                </Button>
+              )}
+            </div>
+            <div className="flex-1 max-h-96 overflow-y-auto p-2 text-sm prose prose-sm max-w-none dark:prose-invert">
+              {c.error ? (
+                <div className="not-prose text-xs text-red-600">{c.error}</div>
+              ) : (
+                <ReactMarkdown
+                  remarkPlugins={[remarkGfm]}
+                  components={{ a: MarkdownLink }}
+                >
+                  {c.content}
+                </ReactMarkdown>
+              )}
+            </div>
+            <div className="border-t px-2 py-1 text-xs text-muted-foreground">
+              {columnStats(c) ||
+                (c.status === "streaming" ? "Waiting for first token" : "")}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
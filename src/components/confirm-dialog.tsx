@@ -0,0 +1,33 @@
+import { Button } from "@/components/ui/button";
+
+type ConfirmDialogProps = {
+  title: string;
+  message: string;
+  confirmLabel: string;
+  onClose: (confirmed: boolean) => void;
+};
+
+// In-panel replacement for window.confirm(), which blocks the side panel
+export function ConfirmDialog({
+  title,
+  message,
+  confirmLabel,
+  onClose,
+}: ConfirmDialogProps) {
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50">
+      <div className="bg-card border rounded-lg w-[420px] max-w-[90vw] p-4 space-y-3 shadow-lg">
+        <div className="text-lg font-semibold">{title}</div>
+        <div className="text-sm">{message}</div>
+        <div className="flex justify-end gap-2">
+          <Button variant="secondary" size="sm" onClick={() => onClose(false)}>
+            Cancel
+          </Button>
+          <Button size="sm" autoFocus onClick={() => onClose(true)}>
+            {confirmLabel}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,134 @@
+import { Globe, Loader2, TextSelect, X } from "lucide-react";
+import { cn } from "@/lib/utils";
+import type { AttachedContext, ContextSource } from "@/lib/page-context";
+
+type ContextChipsProps = {
+  sources: ContextSource[];
+  onToggle: (id: string) => void;
+  onRemove: (id: string) => void;
+};
+
+// Context chips above the composer. The active-tab chip can only be toggled;
+// mentioned tabs and the selection can be removed.
+export function ContextChips({
+  sources,
+  onToggle,
+  onRemove,
+}: ContextChipsProps) {
+  if (sources.length === 0) return null;
+  const total = sources
+    .filter((s) => s.enabled && !s.error)
+    .reduce((sum, s) => sum + (s.tokens || 0), 0);
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 text-xs">
+      {sources.map((s) => (
+        <div
+          key={s.id}
+          className={cn(
+            "flex items-center gap-1 rounded-full border px-2 py-0.5 max-w-[220px]",
+            s.enabled && !s.error
+              ? "bg-primary/10 border-primary/30"
+              : "opacity-60 line-through"
+          )}
+          title={s.error || s.url || s.title}
+        >
+          <button
+            className="flex items-center gap-1 min-w-0"
+            onClick={() => onToggle(s.id)}
+          >
+            {s.loading ? (
+              <Loader2 className="h-3 w-3 animate-spin shrink-0" />
+            ) : s.kind === "selection" ? (
+              <TextSelect className="h-3 w-3 shrink-0" />
+            ) : (
+              <Globe className="h-3 w-3 shrink-0" />
+            )}
+            <span className="truncate">
+              {s.kind === "active_tab" ? "This tab: " : ""}
+              {s.title}
+            </span>
+            {s.tokens != null && !s.error && (
+              <span className="text-muted-foreground shrink-0">
+                ~{s.tokens}
+              </span>
+            )}
+          </button>
+          {s.kind !== "active_tab" && (
+            <button onClick={() => onRemove(s.id)} title="Remove">
+              <X className="h-3 w-3" />
+            </button>
+          )}
+        </div>
+      ))}
+      {total > 0 && (
+        <span className="text-muted-foreground">~{total} context tokens</span>
+      )}
+    </div>
+  );
+}
+
+type TabMentionMenuProps = {
+  tabs: chrome.tabs.Tab[];
+  highlighted: number;
+  onPick: (tab: chrome.tabs.Tab) => void;
+};
+
+// Open tabs matching an `@` mention, shown above the composer
+export function TabMentionMenu({
+  tabs,
+  highlighted,
+  onPick,
+}: TabMentionMenuProps) {
+  return (
+    <div className="absolute bottom-full left-0 mb-1 w-full max-h-56 overflow-y-auto rounded-md border bg-card shadow-lg z-40">
+      {tabs.length === 0 ? (
+        <div className="px-3 py-2 text-xs text-muted-foreground">
+          No matching tabs
+        </div>
+      ) : (
+        tabs.map((t, i) => (
+          <button
+            key={t.id}
+            className={cn(
+              "w-full text-left px-3 py-1.5 text-sm",
+              i === highlighted ? "bg-accent" : "hover:bg-accent"
+            )}
+            onMouseDown={(e) => {
+              // Keep focus in the input
+              e.preventDefault();
+              onPick(t);
+            }}
+          >
+            <div className="truncate">{t.title || t.url}</div>
+            <div className="truncate text-xs text-muted-foreground">
+              {t.url}
+            </div>
+          </button>
+        ))
+      )}
+    </div>
+  );
+}
+
+// Read-only summary of the context that went out with a sent message
+export function SentContext({ items }: { items: AttachedContext[] }) {
+  return (
+    <div className="flex flex-wrap gap-1.5 text-xs text-muted-foreground">
+      {items.map((c, i) => (
+        <span
+          key={i}
+          className="flex items-center gap-1 rounded-full border px-2 py-0.5 max-w-[220px]"
+          title={c.url || c.title}
+        >
+          {c.kind === "selection" ? (
+            <TextSelect className="h-3 w-3 shrink-0" />
+          ) : (
+            <Globe className="h-3 w-3 shrink-0" />
+          )}
+          <span className="truncate">{c.title}</span>
+          <span className="shrink-0">~{c.tokens}</span>
+        </span>
+      ))}
+    </div>
+  );
+}
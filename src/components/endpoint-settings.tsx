@@ -0,0 +1,202 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Trash2 } from "lucide-react";
+import * as OR from "@/utils/openrouter-client.js";
+import {
+  ENDPOINT_PRESETS,
+  endpointId,
+  type EndpointConfig,
+} from "@/lib/endpoints";
+
+type EndpointSettingsProps = {
+  value: EndpointConfig[];
+  onChange: (value: EndpointConfig[]) => void;
+};
+
+export function EndpointSettings({ value, onChange }: EndpointSettingsProps) {
+  const [editingId, setEditingId] = useState(value[0]?.id || "");
+  const [notice, setNotice] = useState("");
+  const [testing, setTesting] = useState(false);
+  const editing = value.find((e) => e.id === editingId);
+
+  function update(patch: Partial<EndpointConfig>) {
+    onChange(value.map((e) => (e.id === editingId ? { ...e, ...patch } : e)));
+  }
+
+  function add(label: string) {
+    const preset = ENDPOINT_PRESETS.find((p) => p.label === label);
+    if (!preset) return;
+    const id = endpointId(
+      preset.endpoint.id,
+      value.map((e) => e.id)
+    );
+    onChange([...value, { ...preset.endpoint, id, enabled: true }]);
+    setEditingId(id);
+    setNotice("");
+  }
+
+  function remove() {
+    if (!editing || !confirm(`Remove endpoint "${editing.name}"?`)) return;
+    const endpoints = value.filter((e) => e.id !== editingId);
+    onChange(endpoints);
+    setEditingId(endpoints[0]?.id || "");
+    setNotice("");
+  }
+
+  async function test() {
+    if (!editing) return;
+    setTesting(true);
+    setNotice("");
+    try {
+      const client = new OR.OpenRouterClient("", { endpoints: [editing] });
+      const models = await client.listEndpointModels(editing);
+      setNotice(
+        `Connected: ${models.length} model${models.length === 1 ? "" : "s"}`
+      );
+    } catch (error: any) {
+      setNotice(`Could not list models: ${error?.message || String(error)}`);
+    } finally {
+      setTesting(false);
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="text-sm font-medium">Custom Endpoints</div>
+      <div className="text-xs text-muted-foreground">
+        OpenAI-compatible servers such as Ollama, LM Studio or vLLM. Their
+        models are added to the model picker.
+      </div>
+      <div className="flex gap-1">
+        <Select
+          value={editingId}
+          onValueChange={(id) => {
+            setEditingId(id);
+            setNotice("");
+          }}
+        >
+          <SelectTrigger className="w-full">
+            <SelectValue placeholder="No endpoints" />
+          </SelectTrigger>
+          <SelectContent>
+            {value.map((e) => (
+              <SelectItem key={e.id} value={e.id}>
+                {e.name}
+                {e.enabled ? "" : " (off)"}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value="" onValueChange={add}>
+          <SelectTrigger className="w-32">
+            <SelectValue placeholder="Add" />
+          </SelectTrigger>
+          <SelectContent>
+            {ENDPOINT_PRESETS.map((p) => (
+              <SelectItem key={p.label} value={p.label}>
+                {p.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button
+          variant="secondary"
+          size="icon"
+          onClick={remove}
+          disabled={!editing}
+          title="Remove"
+        >
+          <Trash2 className="h-4 w-4" />
+        </Button>
+      </div>
+      {editing && (
+        <>
+          <div className="flex items-center gap-2 text-sm">
+            <input
+              id="endpointEnabled"
+              type="checkbox"
+              checked={editing.enabled}
+              onChange={(e) => update({ enabled: e.target.checked })}
+            />
+            <label htmlFor="endpointEnabled">Show this endpoint's models</label>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="text-sm">Name</label>
+              <Input
+                value={editing.name}
+                onChange={(e) => update({ name: e.target.value })}
+              />
+            </div>
+            <div>
+              <label className="text-sm">Model list path</label>
+              <Input
+                placeholder="/models"
+                value={editing.modelsPath || ""}
+                onChange={(e) =>
+                  update({ modelsPath: e.target.value || undefined })
+                }
+              />
+            </div>
+          </div>
+          <div>
+            <label className="text-sm">Base URL</label>
+            <Input
+              placeholder="http://localhost:11434/v1"
+              value={editing.baseUrl}
+              onChange={(e) => update({ baseUrl: e.target.value })}
+            />
+          </div>
+          <div>
+            <label className="text-sm">API key (optional)</label>
+            <Input
+              type="password"
+              value={editing.apiKey || ""}
+              onChange={(e) => update({ apiKey: e.target.value || undefined })}
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="text-sm">Auth header</label>
+              <Input
+                placeholder="Authorization"
+                value={editing.authHeader || ""}
+                onChange={(e) =>
+                  update({ authHeader: e.target.value || undefined })
+                }
+              />
+            </div>
+            <div>
+              <label className="text-sm">Auth scheme</label>
+              <Input
+                placeholder="Bearer"
+                value={editing.authScheme || ""}
+                onChange={(e) =>
+                  update({ authScheme: e.target.value || undefined })
+                }
+                title="Put before the key. Empty means Bearer for the Authorization header and the bare key for other headers."
+              />
+            </div>
+          </div>
+          <Button
+            variant="secondary"
+            size="sm"
+            disabled={testing || !editing.baseUrl.trim()}
+            onClick={test}
+          >
+            {testing ? "Testing..." : "Test connection"}
+          </Button>
+        </>
+      )}
+      {notice && <div className="text-xs text-muted-foreground">{notice}</div>}
+    </div>
+  );
+}
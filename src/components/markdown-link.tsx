@@ -0,0 +1,6 @@
+import type { AnchorHTMLAttributes } from "react";
+
+// Citations and other links in answers open outside the side panel
+export function MarkdownLink(props: AnchorHTMLAttributes<HTMLAnchorElement>) {
+  return <a {...props} target="_blank" rel="noreferrer" />;
+}
@@ -0,0 +1,157 @@
+import { useState, type ReactNode } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  ChevronLeft,
+  ChevronRight,
+  Pencil,
+  RefreshCw,
+  Shuffle,
+} from "lucide-react";
+import type { ChatMessage } from "@/lib/types";
+
+type MessageActionsProps = {
+  message: ChatMessage;
+  disabled?: boolean;
+  onEdit?: () => void;
+  onRegenerate?: () => void;
+  // Regenerate after picking a different model
+  onRegenerateWith?: () => void;
+  onBranch: (target: number) => void;
+};
+
+function ActionButton({
+  title,
+  disabled,
+  onClick,
+  children,
+}: {
+  title: string;
+  disabled?: boolean;
+  onClick: () => void;
+  children: ReactNode;
+}) {
+  return (
+    <Button
+      variant="ghost"
+      size="sm"
+      className="h-6 w-6 p-0"
+      title={title}
+      disabled={disabled}
+      onClick={onClick}
+    >
+      {children}
+    </Button>
+  );
+}
+
+// Per-message actions under a chat turn: sibling branch navigation, edit and
+// regenerate
+export function MessageActions({
+  message,
+  disabled,
+  onEdit,
+  onRegenerate,
+  onRegenerateWith,
+  onBranch,
+}: MessageActionsProps) {
+  const branch = message.branch;
+  const count = branch?.tails.length || 0;
+  if (count < 2 && !onEdit && !onRegenerate) return null;
+  return (
+    <div className="not-prose mt-1 flex items-center gap-0.5 text-xs text-muted-foreground">
+      {branch && count > 1 && (
+        <>
+          <ActionButton
+            title="Previous branch"
+            disabled={disabled || branch.active === 0}
+            onClick={() => onBranch(branch.active - 1)}
+          >
+            <ChevronLeft className="h-3.5 w-3.5" />
+          </ActionButton>
+          <span className="tabular-nums">
+            {branch.active + 1}/{count}
+          </span>
+          <ActionButton
+            title="Next branch"
+            disabled={disabled || branch.active === count - 1}
+            onClick={() => onBranch(branch.active + 1)}
+          >
+            <ChevronRight className="h-3.5 w-3.5" />
+          </ActionButton>
+        </>
+      )}
+      {onEdit && (
+        <ActionButton
+          title="Edit and resend"
+          disabled={disabled}
+          onClick={onEdit}
+        >
+          <Pencil className="h-3.5 w-3.5" />
+        </ActionButton>
+      )}
+      {onRegenerate && (
+        <ActionButton
+          title="Regenerate"
+          disabled={disabled}
+          onClick={onRegenerate}
+        >
+          <RefreshCw className="h-3.5 w-3.5" />
+        </ActionButton>
+      )}
+      {onRegenerateWith && (
+        <ActionButton
+          title="Regenerate with another model"
+          disabled={disabled}
+          onClick={onRegenerateWith}
+        >
+          <Shuffle className="h-3.5 w-3.5" />
+        </ActionButton>
+      )}
+    </div>
+  );
+}
+
+type MessageEditorProps = {
+  initial: string;
+  onSubmit: (text: string) => void;
+  onCancel: () => void;
+};
+
+// In-place editor for a sent prompt; submitting forks the conversation
+export function MessageEditor({
+  initial,
+  onSubmit,
+  onCancel,
+}: MessageEditorProps) {
+  const [text, setText] = useState(initial);
+  return (
+    <div className="space-y-2">
+      <textarea
+        autoFocus
+        rows={Math.min(8, Math.max(2, text.split("\n").length))}
+        className="w-full rounded-md border border-input bg-transparent px-3 py-2 text-sm shadow-sm focus-visible:outline-none focus-visible:ring-1 focus-visible:ring-ring"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" && !e.shiftKey) {
+            e.preventDefault();
+            onSubmit(text);
+          }
+          if (e.key === "Escape") onCancel();
+        }}
+      />
+      <div className="flex justify-end gap-2">
+        <Button size="sm" variant="ghost" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button
+          size="sm"
+          disabled={!text.trim()}
+          onClick={() => onSubmit(text)}
+        >
+          Save &amp; send
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,345 @@
+import { useMemo, useState, type ReactNode } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { AlertTriangle, ChevronDown, Star, X } from "lucide-react";
+import { cn } from "@/lib/utils";
+import {
+  EMPTY_FILTERS,
+  filterModels,
+  inputModalities,
+  missingModalities,
+  pricePerMillion,
+  supportsParameter,
+  supportsStructuredOutputs,
+  type InputModality,
+  type ModelFilters,
+  type ModelPrefs,
+} from "@/lib/models";
+
+type ModelPickerProps = {
+  models: any[];
+  value: string;
+  prefs: ModelPrefs;
+  onSelect: (id: string) => void;
+  onToggleFavorite: (id: string) => void;
+  // Input modalities the pending message needs (from its attachments)
+  required?: InputModality[];
+  // Replaces the default button that opens the picker; return null to open
+  // it only through `open`
+  renderTrigger?: (open: () => void) => ReactNode;
+  // Controlled open state, for opening the picker from elsewhere
+  open?: boolean;
+  onOpenChange?: (open: boolean) => void;
+};
+
+const CONTEXT_OPTIONS = [
+  { label: "Any context", value: 0 },
+  { label: "≥ 32K", value: 32_000 },
+  { label: "≥ 128K", value: 128_000 },
+  { label: "≥ 200K", value: 200_000 },
+  { label: "≥ 1M", value: 1_000_000 },
+];
+
+const MODALITIES: InputModality[] = ["image", "audio", "file"];
+
+function formatContext(n?: number) {
+  if (!n) return "";
+  return n >= 1_000_000
+    ? `${(n / 1_000_000).toFixed(n % 1_000_000 ? 1 : 0)}M`
+    : `${Math.round(n / 1000)}K`;
+}
+
+function formatPrice(value: any) {
+  const price = pricePerMillion(value);
+  if (price == null) return "?";
+  return price === 0 ? "free" : `$${price.toFixed(price < 1 ? 2 : 1)}`;
+}
+
+function parsePrice(value: string): number | undefined {
+  const n = Number(value);
+  return value.trim() && Number.isFinite(n) && n >= 0 ? n : undefined;
+}
+
+function ModelRow({
+  model,
+  active,
+  favorite,
+  missing,
+  onSelect,
+  onToggleFavorite,
+}: {
+  model: any;
+  active: boolean;
+  favorite: boolean;
+  missing: InputModality[];
+  onSelect: () => void;
+  onToggleFavorite: () => void;
+}) {
+  const extras = inputModalities(model).filter((m) => m !== "text");
+  return (
+    <div
+      className={cn(
+        "flex items-center gap-2 rounded-md px-2 py-1.5 text-sm",
+        active ? "bg-muted" : "hover:bg-accent"
+      )}
+    >
+      <button
+        className="shrink-0 text-muted-foreground hover:text-foreground"
+        onClick={onToggleFavorite}
+        title={favorite ? "Remove from favorites" : "Add to favorites"}
+      >
+        <Star
+          className={cn("h-4 w-4", favorite && "fill-current text-yellow-500")}
+        />
+      </button>
+      <button className="flex-1 min-w-0 text-left" onClick={onSelect}>
+        <div className="truncate">{model.name || model.id}</div>
+        <div className="text-xs text-muted-foreground truncate">
+          {model.id}
+          {model.context_length
+            ? ` · ${formatContext(model.context_length)} ctx`
+            : ""}
+          {` · ${formatPrice(model.pricing?.prompt)} in / ${formatPrice(
+            model.pricing?.completion
+          )} out per 1M`}
+          {extras.length ? ` · ${extras.join(", ")}` : ""}
+          {supportsParameter(model, "tools") ? " · tools" : ""}
+          {supportsStructuredOutputs(model) ? " · json" : ""}
+        </div>
+        {missing.length > 0 && (
+          <div className="text-xs text-amber-600">
+            No {missing.join(" or ")} input
+          </div>
+        )}
+      </button>
+    </div>
+  );
+}
+
+// Model browser: search by name/id and filter on the `/models` metadata.
+// Favorites and recently used models are listed above the full catalogue.
+export function ModelPicker({
+  models,
+  value,
+  prefs,
+  onSelect,
+  onToggleFavorite,
+  required = [],
+  renderTrigger,
+  open: openProp,
+  onOpenChange,
+}: ModelPickerProps) {
+  const [openState, setOpenState] = useState(false);
+  const open = openProp ?? openState;
+  const setOpen = (next: boolean) => {
+    setOpenState(next);
+    onOpenChange?.(next);
+  };
+  const [filters, setFilters] = useState<ModelFilters>(EMPTY_FILTERS);
+  const setFilter = (patch: Partial<ModelFilters>) =>
+    setFilters((prev) => ({ ...prev, ...patch }));
+
+  const matches = useMemo(
+    () => filterModels(models, filters),
+    [models, filters]
+  );
+  const byId = useMemo(() => new Map(models.map((m) => [m.id, m])), [models]);
+  const matchIds = new Set(matches.map((m) => m.id));
+  const pick = (ids: string[]) =>
+    ids.filter((id) => matchIds.has(id)).map((id) => byId.get(id));
+  const favorites = pick(prefs.favorites);
+  const recents = pick(
+    prefs.recents.filter((id) => !prefs.favorites.includes(id))
+  );
+
+  function choose(id: string) {
+    onSelect(id);
+    setOpen(false);
+  }
+
+  function renderRows(list: any[]) {
+    return list.map((m) => (
+      <ModelRow
+        key={m.id}
+        model={m}
+        active={m.id === value}
+        favorite={prefs.favorites.includes(m.id)}
+        missing={missingModalities(m, required)}
+        onSelect={() => choose(m.id)}
+        onToggleFavorite={() => onToggleFavorite(m.id)}
+      />
+    ));
+  }
+
+  const current = value === "auto" ? null : byId.get(value);
+  const currentMissing = current ? missingModalities(current, required) : [];
+
+  return (
+    <>
+      {renderTrigger ? (
+        renderTrigger(() => setOpen(true))
+      ) : (
+        <Button
+          variant="outline"
+          size="sm"
+          className="w-60 justify-between font-normal"
+          onClick={() => setOpen(true)}
+          title={
+            currentMissing.length
+              ? `${value} does not accept ${currentMissing.join(" or ")} input`
+              : value === "auto"
+              ? "Auto Select"
+              : value
+          }
+        >
+          {currentMissing.length > 0 && (
+            <AlertTriangle className="h-4 w-4 text-amber-600" />
+          )}
+          <span className="truncate flex-1 text-left">
+            {value === "auto" ? "Auto Select" : current?.name || value}
+          </span>
+          <ChevronDown className="h-4 w-4 opacity-50" />
+        </Button>
+      )}
+      {open && (
+        <div className="fixed inset-0 bg-black/40 flex items-start justify-center z-50 pt-12">
+          <div className="bg-card border rounded-lg w-[560px] max-w-[94vw] p-4 space-y-3 shadow-lg">
+            <div className="flex items-center justify-between">
+              <div className="text-lg font-semibold">Models</div>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => setOpen(false)}
+                className="h-8 w-8 p-0"
+              >
+                <X className="h-4 w-4" />
+              </Button>
+            </div>
+            <Input
+              autoFocus
+              placeholder="Search models"
+              value={filters.query}
+              onChange={(e) => setFilter({ query: e.target.value })}
+            />
+            <div className="grid grid-cols-3 gap-2 text-sm">
+              <select
+                className="h-9 rounded-md border border-input bg-transparent px-2"
+                value={filters.minContext || 0}
+                onChange={(e) =>
+                  setFilter({ minContext: Number(e.target.value) || undefined })
+                }
+              >
+                {CONTEXT_OPTIONS.map((o) => (
+                  <option key={o.value} value={o.value}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+              <Input
+                type="number"
+                min={0}
+                step="0.1"
+                placeholder="Max $/1M in"
+                value={filters.maxPromptPrice ?? ""}
+                onChange={(e) =>
+                  setFilter({ maxPromptPrice: parsePrice(e.target.value) })
+                }
+              />
+              <Input
+                type="number"
+                min={0}
+                step="0.1"
+                placeholder="Max $/1M out"
+                value={filters.maxCompletionPrice ?? ""}
+                onChange={(e) =>
+                  setFilter({ maxCompletionPrice: parsePrice(e.target.value) })
+                }
+              />
+            </div>
+            <div className="flex flex-wrap gap-1">
+              {MODALITIES.map((m) => {
+                const on = filters.modalities.includes(m);
+                return (
+                  <Button
+                    key={m}
+                    size="sm"
+                    variant={on ? "default" : "secondary"}
+                    onClick={() =>
+                      setFilter({
+                        modalities: on
+                          ? filters.modalities.filter((x) => x !== m)
+                          : [...filters.modalities, m],
+                      })
+                    }
+                  >
+                    {m} input
+                  </Button>
+                );
+              })}
+              <Button
+                size="sm"
+                variant={filters.tools ? "default" : "secondary"}
+                onClick={() => setFilter({ tools: !filters.tools })}
+              >
+                tools
+              </Button>
+              <Button
+                size="sm"
+                variant={filters.structuredOutputs ? "default" : "secondary"}
+                onClick={() =>
+                  setFilter({ structuredOutputs: !filters.structuredOutputs })
+                }
+              >
+                structured outputs
+              </Button>
+              <Button
+                size="sm"
+                variant="ghost"
+                onClick={() => setFilters(EMPTY_FILTERS)}
+              >
+                Reset
+              </Button>
+            </div>
+            <div className="max-h-[50vh] overflow-y-auto space-y-1">
+              <button
+                className={cn(
+                  "w-full text-left rounded-md px-2 py-1.5 text-sm",
+                  value === "auto" ? "bg-muted" : "hover:bg-accent"
+                )}
+                onClick={() => choose("auto")}
+              >
+                Auto Select
+              </button>
+              {favorites.length > 0 && (
+                <>
+                  <div className="text-xs font-medium text-muted-foreground px-2 pt-2">
+                    Favorites
+                  </div>
+                  {renderRows(favorites)}
+                </>
+              )}
+              {recents.length > 0 && (
+                <>
+                  <div className="text-xs font-medium text-muted-foreground px-2 pt-2">
+                    Recent
+                  </div>
+                  {renderRows(recents)}
+                </>
+              )}
+              <div className="text-xs font-medium text-muted-foreground px-2 pt-2">
+                All models ({matches.length})
+              </div>
+              {matches.length === 0 ? (
+                <div className="text-sm text-muted-foreground py-4 text-center">
+                  No models match these filters.
+                </div>
+              ) : (
+                renderRows(matches)
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
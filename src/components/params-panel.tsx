@@ -0,0 +1,144 @@
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { X } from "lucide-react";
+import {
+  NUMERIC_PARAMS,
+  isParamSupported,
+  maxCompletionTokens,
+  type GenerationParams,
+} from "@/lib/params";
+
+type ParamsPanelProps = {
+  value: GenerationParams;
+  onChange: (value: GenerationParams) => void;
+  // Metadata for the selected model; null when it is unknown (Auto Select)
+  model: any | null;
+  onClose: () => void;
+};
+
+function parseNumber(text: string): number | undefined {
+  const n = Number(text);
+  return text.trim() && Number.isFinite(n) ? n : undefined;
+}
+
+// Advanced generation parameters for the current thread. Fields the selected
+// model does not accept are hidden; blank fields use the model's defaults.
+export function ParamsPanel({
+  value,
+  onChange,
+  model,
+  onClose,
+}: ParamsPanelProps) {
+  const set = (patch: Partial<GenerationParams>) =>
+    onChange({ ...value, ...patch });
+  const numeric = NUMERIC_PARAMS.filter((p) => isParamSupported(model, p.key));
+  const showStop = isParamSupported(model, "stop");
+  const showReasoning = isParamSupported(model, "reasoningEffort");
+  const hidden =
+    NUMERIC_PARAMS.length -
+    numeric.length +
+    (showStop ? 0 : 1) +
+    (showReasoning ? 0 : 1);
+
+  return (
+    <div className="rounded-md border bg-card p-3 space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="text-sm font-medium">Generation parameters</div>
+        <div className="flex items-center gap-1">
+          <Button variant="ghost" size="sm" onClick={() => onChange({})}>
+            Reset
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={onClose}
+            className="h-8 w-8 p-0"
+          >
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+      <div className="grid grid-cols-3 gap-2">
+        {numeric.map((spec) => {
+          const max =
+            spec.key === "maxTokens"
+              ? (maxCompletionTokens(model) ?? spec.max)
+              : spec.max;
+          return (
+            <div key={spec.key}>
+              <label className="text-xs">{spec.label}</label>
+              <Input
+                type="number"
+                className="h-8"
+                min={spec.min}
+                max={max}
+                step={spec.step}
+                placeholder="default"
+                value={value[spec.key] ?? ""}
+                onChange={(e) =>
+                  set({ [spec.key]: parseNumber(e.target.value) })
+                }
+              />
+            </div>
+          );
+        })}
+        {showReasoning && (
+          <div>
+            <label className="text-xs">Reasoning effort</label>
+            <Select
+              value={value.reasoningEffort || "default"}
+              onValueChange={(v) =>
+                set({
+                  reasoningEffort: v === "default" ? undefined : (v as any),
+                })
+              }
+            >
+              <SelectTrigger className="w-full h-8">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="default">Default</SelectItem>
+                <SelectItem value="low">Low</SelectItem>
+                <SelectItem value="medium">Medium</SelectItem>
+                <SelectItem value="high">High</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+      </div>
+      {showStop && (
+        <div>
+          <label className="text-xs">
+            Stop sequences (comma separated, up to 4)
+          </label>
+          <Input
+            key={(value.stop || []).join("|")}
+            className="h-8"
+            defaultValue={(value.stop || []).join(", ")}
+            onBlur={(e) =>
+              set({
+                stop: e.target.value
+                  .split(",")
+                  .map((s) => s.trim())
+                  .filter(Boolean),
+              })
+            }
+          />
+        </div>
+      )}
+      {hidden > 0 && (
+        <div className="text-xs text-muted-foreground">
+          {hidden} parameter{hidden === 1 ? "" : "s"} hidden: not supported by{" "}
+          {model?.id}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Plus, Trash2 } from "lucide-react";
+import {
+  PERSONA_VARIABLES,
+  newPersonaId,
+  type Persona,
+  type PersonaStore,
+} from "@/lib/personas";
+
+type PersonaSettingsProps = {
+  value: PersonaStore;
+  onChange: (value: PersonaStore) => void;
+};
+
+export function PersonaSettings({ value, onChange }: PersonaSettingsProps) {
+  const [editingId, setEditingId] = useState(
+    value.defaultId || value.personas[0]?.id || ""
+  );
+  const editing = value.personas.find((p) => p.id === editingId);
+
+  function update(patch: Partial<Persona>) {
+    onChange({
+      ...value,
+      personas: value.personas.map((p) =>
+        p.id === editingId ? { ...p, ...patch } : p
+      ),
+    });
+  }
+
+  function add() {
+    const persona = { id: newPersonaId(), name: "New persona", prompt: "" };
+    onChange({ ...value, personas: [...value.personas, persona] });
+    setEditingId(persona.id);
+  }
+
+  function remove() {
+    if (!editing || !confirm(`Delete persona "${editing.name}"?`)) return;
+    const personas = value.personas.filter((p) => p.id !== editingId);
+    onChange({
+      personas,
+      defaultId:
+        value.defaultId === editingId ? personas[0]?.id || "" : value.defaultId,
+    });
+    setEditingId(personas[0]?.id || "");
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="text-sm font-medium">Personas</div>
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label className="text-sm">Default persona</label>
+          <Select
+            value={value.defaultId || "none"}
+            onValueChange={(v) =>
+              onChange({ ...value, defaultId: v === "none" ? "" : v })
+            }
+          >
+            <SelectTrigger className="w-full">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="none">No system prompt</SelectItem>
+              {value.personas.map((p) => (
+                <SelectItem key={p.id} value={p.id}>
+                  {p.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div>
+          <label className="text-sm">Edit</label>
+          <div className="flex gap-1">
+            <Select value={editingId} onValueChange={setEditingId}>
+              <SelectTrigger className="w-full">
+                <SelectValue placeholder="Select persona" />
+              </SelectTrigger>
+              <SelectContent>
+                {value.personas.map((p) => (
+                  <SelectItem key={p.id} value={p.id}>
+                    {p.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button variant="secondary" size="icon" onClick={add} title="Add">
+              <Plus className="h-4 w-4" />
+            </Button>
+            <Button
+              variant="secondary"
+              size="icon"
+              onClick={remove}
+              disabled={!editing}
+              title="Delete"
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+      </div>
+      {editing && (
+        <>
+          <Input
+            value={editing.name}
+            onChange={(e) => update({ name: e.target.value })}
+          />
+          <textarea
+            className="w-full min-h-28 rounded-md border border-input bg-transparent px-3 py-2 text-sm"
+            value={editing.prompt}
+            onChange={(e) => update({ prompt: e.target.value })}
+          />
+          <div className="text-xs text-muted-foreground">
+            Variables: {PERSONA_VARIABLES.map((v) => `{{${v}}}`).join(" ")}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
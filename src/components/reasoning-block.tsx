@@ -0,0 +1,25 @@
+import { Brain } from "lucide-react";
+import type { ChatMessage } from "@/lib/types";
+
+type ReasoningBlockProps = {
+  reasoning: NonNullable<ChatMessage["reasoning"]>;
+  // Expanded while the model is still thinking
+  streaming?: boolean;
+};
+
+// Collapsible "thinking" block shown above an assistant answer
+export function ReasoningBlock({ reasoning, streaming }: ReasoningBlockProps) {
+  if (!reasoning.text) return null;
+  return (
+    <details open={streaming} className="not-prose mb-2 text-xs">
+      <summary className="cursor-pointer text-muted-foreground">
+        <Brain className="inline h-3.5 w-3.5 mr-1 align-[-2px]" />
+        Thinking
+        {reasoning.tokens ? ` · ${reasoning.tokens} tokens` : ""}
+      </summary>
+      <div className="mt-1 border-l-2 pl-2 text-muted-foreground whitespace-pre-wrap break-words max-h-64 overflow-y-auto">
+        {reasoning.text}
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,143 @@
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  DEFAULT_ROUTING,
+  formatList,
+  parseList,
+  type RoutingPreferences,
+} from "@/lib/routing";
+
+type RoutingSettingsProps = {
+  value: RoutingPreferences;
+  onChange: (value: RoutingPreferences) => void;
+};
+
+export function RoutingSettings({ value, onChange }: RoutingSettingsProps) {
+  const provider = value.provider || {};
+  const setProvider = (patch: Partial<NonNullable<typeof provider>>) =>
+    onChange({ ...value, provider: { ...provider, ...patch } });
+  const auto = value.auto || DEFAULT_ROUTING.auto!;
+  const setAuto = (patch: Partial<typeof auto>) =>
+    onChange({ ...value, auto: { ...auto, ...patch } });
+
+  return (
+    <div className="space-y-2">
+      <div className="text-sm font-medium">Model Routing</div>
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label className="text-sm">Auto Select uses</label>
+          <Select
+            value={auto.mode}
+            onValueChange={(v) => setAuto({ mode: v as any })}
+          >
+            <SelectTrigger className="w-full">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="openrouter">OpenRouter auto router</SelectItem>
+              <SelectItem value="local">Local capability match</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+        <div>
+          <label className="text-sm">Prefer</label>
+          <Select
+            value={auto.preference}
+            disabled={auto.mode !== "local"}
+            onValueChange={(v) => setAuto({ preference: v as any })}
+          >
+            <SelectTrigger className="w-full">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="cost">Lower cost</SelectItem>
+              <SelectItem value="balanced">Balanced</SelectItem>
+              <SelectItem value="quality">Higher quality</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+      <div>
+        <label className="text-sm">Fallback models (in order)</label>
+        <Input
+          placeholder="anthropic/claude-3.5-haiku, openai/gpt-4o-mini"
+          defaultValue={formatList(value.fallbackModels)}
+          onBlur={(e) =>
+            onChange({ ...value, fallbackModels: parseList(e.target.value) })
+          }
+        />
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label className="text-sm">Preferred providers</label>
+          <Input
+            placeholder="anthropic, openai"
+            defaultValue={formatList(provider.order)}
+            onBlur={(e) => setProvider({ order: parseList(e.target.value) })}
+          />
+        </div>
+        <div>
+          <label className="text-sm">Ignored providers</label>
+          <Input
+            placeholder="deepinfra"
+            defaultValue={formatList(provider.ignore)}
+            onBlur={(e) => setProvider({ ignore: parseList(e.target.value) })}
+          />
+        </div>
+        <div>
+          <label className="text-sm">Sort providers by</label>
+          <Select
+            value={provider.sort || "default"}
+            onValueChange={(v) =>
+              setProvider({
+                sort: v === "default" ? undefined : (v as any),
+              })
+            }
+          >
+            <SelectTrigger className="w-full">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="default">OpenRouter default</SelectItem>
+              <SelectItem value="price">Price</SelectItem>
+              <SelectItem value="throughput">Throughput</SelectItem>
+              <SelectItem value="latency">Latency</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+        <div>
+          <label className="text-sm">Data collection</label>
+          <Select
+            value={provider.dataCollection || "allow"}
+            onValueChange={(v) => setProvider({ dataCollection: v as any })}
+          >
+            <SelectTrigger className="w-full">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="allow">Allow</SelectItem>
+              <SelectItem value="deny">Deny (no data retention)</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+      <div className="flex items-center gap-2 text-sm">
+        <input
+          id="allowProviderFallbacks"
+          type="checkbox"
+          checked={provider.allowFallbacks !== false}
+          onChange={(e) => setProvider({ allowFallbacks: e.target.checked })}
+        />
+        <label htmlFor="allowProviderFallbacks">
+          Allow fallback to other providers
+        </label>
+      </div>
+    </div>
+  );
+}
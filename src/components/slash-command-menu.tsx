@@ -0,0 +1,65 @@
+import { cn } from "@/lib/utils";
+import type { SlashCommand } from "@/lib/commands";
+
+type SlashCommandMenuProps = {
+  commands: SlashCommand[];
+  highlighted: number;
+  onPick: (command: SlashCommand) => void;
+};
+
+// Slash command autocomplete with argument hints, shown above the composer
+export function SlashCommandMenu({
+  commands,
+  highlighted,
+  onPick,
+}: SlashCommandMenuProps) {
+  return (
+    <div className="absolute bottom-full left-0 mb-1 w-full max-h-64 overflow-y-auto rounded-md border bg-card shadow-lg z-40">
+      {commands.length === 0 ? (
+        <div className="px-3 py-2 text-xs text-muted-foreground">
+          No matching commands
+        </div>
+      ) : (
+        commands.map((c, i) => (
+          <button
+            key={c.name}
+            className={cn(
+              "w-full text-left px-3 py-1.5 text-sm",
+              i === highlighted ? "bg-accent" : "hover:bg-accent"
+            )}
+            onMouseDown={(e) => {
+              // Keep focus in the input
+              e.preventDefault();
+              onPick(c);
+            }}
+          >
+            <div className="truncate">
+              <span className="font-medium">/{c.name}</span>
+              {c.args && (
+                <span className="ml-1.5 font-mono text-xs text-muted-foreground">
+                  {c.args}
+                </span>
+              )}
+            </div>
+            <div className="truncate text-xs text-muted-foreground">
+              {c.description}
+            </div>
+          </button>
+        ))
+      )}
+    </div>
+  );
+}
+
+// Argument hint for the command being typed
+export function SlashCommandHint({ command }: { command: SlashCommand }) {
+  return (
+    <div className="absolute bottom-full left-0 mb-1 rounded-md border bg-card px-3 py-1.5 text-xs shadow-lg z-40">
+      <span className="font-medium">/{command.name}</span>
+      <span className="ml-1.5 font-mono text-muted-foreground">
+        {command.args}
+      </span>
+      <div className="text-muted-foreground">{command.description}</div>
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { formatUsd, type SpendBudget, type SpendSummary } from "@/lib/ledger";
+
+type SpendingSettingsProps = {
+  budget: SpendBudget;
+  onChange: (budget: SpendBudget) => void;
+  summary: SpendSummary | null;
+};
+
+function parseCap(value: string): number | undefined {
+  const n = Number(value);
+  return value.trim() && Number.isFinite(n) && n >= 0 ? n : undefined;
+}
+
+export function SpendingSettings({
+  budget,
+  onChange,
+  summary,
+}: SpendingSettingsProps) {
+  const topModels = summary
+    ? Object.entries(summary.byModel)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+    : [];
+  const recentDays = summary
+    ? Object.entries(summary.byDay)
+        .sort((a, b) => b[0].localeCompare(a[0]))
+        .slice(0, 7)
+    : [];
+
+  return (
+    <div className="space-y-2">
+      <div className="text-sm font-medium">Spending</div>
+      <div className="grid grid-cols-3 gap-2">
+        <div>
+          <label className="text-sm">Daily cap (USD)</label>
+          <Input
+            type="number"
+            min={0}
+            step="0.01"
+            placeholder="none"
+            value={budget.daily ?? ""}
+            onChange={(e) =>
+              onChange({ ...budget, daily: parseCap(e.target.value) })
+            }
+          />
+        </div>
+        <div>
+          <label className="text-sm">Monthly cap (USD)</label>
+          <Input
+            type="number"
+            min={0}
+            step="0.01"
+            placeholder="none"
+            value={budget.monthly ?? ""}
+            onChange={(e) =>
+              onChange({ ...budget, monthly: parseCap(e.target.value) })
+            }
+          />
+        </div>
+        <div>
+          <label className="text-sm">When exceeded</label>
+          <Select
+            value={budget.mode}
+            onValueChange={(v) => onChange({ ...budget, mode: v as any })}
+          >
+            <SelectTrigger className="w-full">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="warn">Warn</SelectItem>
+              <SelectItem value="block">Block sends</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+      {summary && (
+        <div className="grid grid-cols-2 gap-4 text-xs text-muted-foreground">
+          <div className="space-y-0.5">
+            <div className="font-medium text-foreground">
+              Today {formatUsd(summary.today)} · Month{" "}
+              {formatUsd(summary.month)}
+            </div>
+            {recentDays.map(([day, cost]) => (
+              <div key={day} className="flex justify-between">
+                <span>{day}</span>
+                <span>{formatUsd(cost)}</span>
+              </div>
+            ))}
+          </div>
+          <div className="space-y-0.5">
+            <div className="font-medium text-foreground">By model</div>
+            {topModels.map(([model, cost]) => (
+              <div key={model} className="flex justify-between gap-2">
+                <span className="truncate">{model}</span>
+                <span>{formatUsd(cost)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
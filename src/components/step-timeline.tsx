@@ -0,0 +1,80 @@
+import { CheckCircle2, Info, Loader2, XCircle } from "lucide-react";
+import type { ChatMessage } from "@/lib/types";
+
+export type AgentProgress = {
+  step: number;
+  budget: number;
+  running: string[];
+};
+
+function formatDuration(ms?: number) {
+  if (typeof ms !== "number") return "";
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+function formatJson(value: any, maxChars = 4000) {
+  let text = "";
+  try {
+    text = JSON.stringify(value ?? {}, null, 2);
+  } catch {
+    text = String(value);
+  }
+  return text.length > maxChars ? text.slice(0, maxChars) + "\n…" : text;
+}
+
+// One tool call in the agent timeline: outcome, step, duration, and the raw
+// arguments/result behind a disclosure
+export function ToolStep({ message }: { message: ChatMessage }) {
+  const meta = message.automation;
+  if (!meta) return null;
+  return (
+    <div className="space-y-1">
+      <div className="flex items-start gap-2 text-sm">
+        {meta.success === true ? (
+          <CheckCircle2 className="h-4 w-4 text-green-600 mt-0.5 shrink-0" />
+        ) : meta.success === false ? (
+          <XCircle className="h-4 w-4 text-red-600 mt-0.5 shrink-0" />
+        ) : (
+          <Info className="h-4 w-4 text-blue-600 mt-0.5 shrink-0" />
+        )}
+        <span className="flex-1 whitespace-pre-wrap break-words">
+          {message.content}
+        </span>
+        <span className="text-xs text-muted-foreground whitespace-nowrap">
+          {meta.step != null ? `step ${meta.step}` : ""}
+          {meta.step != null && meta.durationMs != null ? " · " : ""}
+          {formatDuration(meta.durationMs)}
+        </span>
+      </div>
+      <details className="text-xs pl-6">
+        <summary className="cursor-pointer text-muted-foreground">
+          {meta.action || "tool"} details
+        </summary>
+        <div className="mt-1 space-y-1">
+          <div className="font-medium">Arguments</div>
+          <pre className="bg-background/50 border rounded p-2 overflow-auto max-h-32">
+            {formatJson(meta.debug?.args)}
+          </pre>
+          <div className="font-medium">Result</div>
+          <pre className="bg-background/50 border rounded p-2 overflow-auto max-h-48">
+            {formatJson(meta.debug?.result)}
+          </pre>
+        </div>
+      </details>
+    </div>
+  );
+}
+
+export function AgentProgressLine({ progress }: { progress: AgentProgress }) {
+  return (
+    <div className="flex items-center gap-2 text-sm opacity-70">
+      <Loader2 className="h-4 w-4 animate-spin" />
+      <span>
+        Step {progress.step} of {progress.budget}
+        {progress.running.length > 0
+          ? ` · running ${progress.running.join(", ")}`
+          : " · thinking"}
+      </span>
+    </div>
+  );
+}
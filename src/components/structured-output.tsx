@@ -0,0 +1,182 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Copy, X } from "lucide-react";
+import { SCHEMA_PRESETS, recordColumns, toCsv } from "@/lib/structured";
+import type { ChatMessage } from "@/lib/types";
+
+type StructuredPanelProps = {
+  preset: string;
+  onPresetChange: (preset: string) => void;
+  customSchema: string;
+  onCustomSchemaChange: (text: string) => void;
+  // Whether the selected model enforces schemas itself
+  native: boolean | null;
+  onClose: () => void;
+};
+
+// Schema picker shown above the composer while structured mode is on
+export function StructuredPanel({
+  preset,
+  onPresetChange,
+  customSchema,
+  onCustomSchemaChange,
+  native,
+  onClose,
+}: StructuredPanelProps) {
+  return (
+    <div className="rounded-md border bg-card p-3 space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="text-sm font-medium">Structured output</div>
+        <Button
+          variant="ghost"
+          size="sm"
+          className="h-7 w-7 p-0"
+          title="Turn off structured output"
+          onClick={onClose}
+        >
+          <X className="h-4 w-4" />
+        </Button>
+      </div>
+      <Select value={preset} onValueChange={onPresetChange}>
+        <SelectTrigger className="w-full h-8">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          {SCHEMA_PRESETS.map((p) => (
+            <SelectItem key={p.id} value={p.id}>
+              {p.name}
+            </SelectItem>
+          ))}
+          <SelectItem value="custom">Custom schema</SelectItem>
+        </SelectContent>
+      </Select>
+      {preset === "custom" && (
+        <textarea
+          className="w-full min-h-28 rounded-md border border-input bg-transparent px-3 py-2 font-mono text-xs"
+          spellCheck={false}
+          value={customSchema}
+          onChange={(e) => onCustomSchemaChange(e.target.value)}
+          title="JSON Schema for one record"
+        />
+      )}
+      <div className="text-xs text-muted-foreground">
+        {native === false
+          ? "This model has no native JSON schema support; replies are validated and repaired once when needed."
+          : "Replies are a list of records matching the schema. Tools are off in this mode."}
+      </div>
+    </div>
+  );
+}
+
+function cellText(value: any): string {
+  if (value == null) return "";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+// A structured reply: a table for several records, a card for one
+export function StructuredResult({ message }: { message: ChatMessage }) {
+  const [notice, setNotice] = useState("");
+  const structured = message.structured;
+  if (!structured) return null;
+  const items: any[] = Array.isArray(structured.data?.items)
+    ? structured.data.items
+    : [];
+  const columns = recordColumns(items);
+
+  async function copy(text: string, label: string) {
+    try {
+      await navigator.clipboard.writeText(text);
+      setNotice(`Copied ${label}`);
+    } catch (error: any) {
+      setNotice(error?.message || String(error));
+    }
+  }
+
+  return (
+    <div className="not-prose space-y-2">
+      <div className="flex items-center gap-1 text-xs text-muted-foreground">
+        <span className="mr-auto">
+          {structured.schema} · {items.length} record
+          {items.length === 1 ? "" : "s"}
+        </span>
+        <Button
+          variant="ghost"
+          size="sm"
+          className="h-7"
+          onClick={() => copy(JSON.stringify(structured.data, null, 2), "JSON")}
+        >
+          <Copy className="h-3.5 w-3.5" />
+          JSON
+        </Button>
+        <Button
+          variant="ghost"
+          size="sm"
+          className="h-7"
+          disabled={items.length === 0}
+          onClick={() => copy(toCsv(items), "CSV")}
+        >
+          <Copy className="h-3.5 w-3.5" />
+          CSV
+        </Button>
+      </div>
+      {items.length === 1 ? (
+        <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 rounded-md border p-2 text-sm">
+          {columns.map((c) => (
+            <div key={c} className="contents">
+              <dt className="text-muted-foreground">{c}</dt>
+              <dd className="break-words">{cellText(items[0][c])}</dd>
+            </div>
+          ))}
+        </dl>
+      ) : items.length > 1 ? (
+        <div className="max-h-80 overflow-auto rounded-md border">
+          <table className="w-full text-xs">
+            <thead className="sticky top-0 bg-card">
+              <tr>
+                {columns.map((c) => (
+                  <th key={c} className="px-2 py-1 text-left font-medium">
+                    {c}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((item, i) => (
+                <tr key={i} className="border-t">
+                  {columns.map((c) => (
+                    <td key={c} className="px-2 py-1 align-top">
+                      {cellText(item?.[c])}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="text-xs text-muted-foreground">No records found</div>
+      )}
+      {structured.errors.length > 0 && (
+        <details className="text-xs text-red-600">
+          <summary className="cursor-pointer">
+            Does not fully match the schema ({structured.errors.length} issue
+            {structured.errors.length === 1 ? "" : "s"})
+          </summary>
+          <ul className="mt-1 list-disc pl-4">
+            {structured.errors.slice(0, 20).map((e, i) => (
+              <li key={i}>{e}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+      {notice && <div className="text-xs text-muted-foreground">{notice}</div>}
+    </div>
+  );
+}
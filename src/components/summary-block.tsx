@@ -0,0 +1,23 @@
+import { ScrollText } from "lucide-react";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import type { ChatMessage } from "@/lib/types";
+
+// Rolling summary that replaced the dimmed turns above it in requests
+export function SummaryBlock({ message }: { message: ChatMessage }) {
+  const turns = message.summary?.turns || 0;
+  return (
+    <details className="text-sm">
+      <summary className="cursor-pointer text-xs text-muted-foreground">
+        <ScrollText className="inline h-3.5 w-3.5 mr-1 align-[-2px]" />
+        Summary of {turns} earlier turn{turns === 1 ? "" : "s"}
+        {message.summarized ? " (folded into a later summary)" : ""}
+      </summary>
+      <div className="mt-2 prose prose-sm max-w-none dark:prose-invert">
+        <ReactMarkdown remarkPlugins={[remarkGfm]}>
+          {message.content}
+        </ReactMarkdown>
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,63 @@
+import { useState } from "react";
+import { Input } from "@/components/ui/input";
+import type { PromptTemplate } from "@/lib/templates";
+
+type TemplateMenuProps = {
+  templates: PromptTemplate[];
+  onPick: (template: PromptTemplate) => void;
+  onClose: () => void;
+};
+
+// Template picker above the composer; picking one fills the input
+export function TemplateMenu({
+  templates,
+  onPick,
+  onClose,
+}: TemplateMenuProps) {
+  const [query, setQuery] = useState("");
+  const matches = templates.filter((t) =>
+    `${t.name} ${t.body}`.toLowerCase().includes(query.toLowerCase())
+  );
+  return (
+    <div className="absolute bottom-full left-0 mb-1 w-full rounded-md border bg-card shadow-lg z-40">
+      <div className="p-2 border-b">
+        <Input
+          autoFocus
+          className="h-8"
+          placeholder="Search templates"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Escape") onClose();
+            if (e.key === "Enter" && matches[0]) onPick(matches[0]);
+          }}
+          onBlur={onClose}
+        />
+      </div>
+      <div className="max-h-56 overflow-y-auto">
+        {matches.length === 0 ? (
+          <div className="px-3 py-2 text-xs text-muted-foreground">
+            No templates. Add some in Settings.
+          </div>
+        ) : (
+          matches.map((t) => (
+            <button
+              key={t.id}
+              className="w-full text-left px-3 py-1.5 text-sm hover:bg-accent"
+              onMouseDown={(e) => {
+                // Keep the search input from closing the menu first
+                e.preventDefault();
+                onPick(t);
+              }}
+            >
+              <div className="truncate">{t.name}</div>
+              <div className="truncate text-xs text-muted-foreground">
+                {t.body}
+              </div>
+            </button>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
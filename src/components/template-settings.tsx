@@ -0,0 +1,152 @@
+import { useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Download, Plus, Trash2, Upload } from "lucide-react";
+import { downloadText } from "@/lib/export";
+import {
+  TEMPLATE_VARIABLES,
+  mergeTemplates,
+  newTemplateId,
+  templatesToJson,
+  type PromptTemplate,
+} from "@/lib/templates";
+
+type TemplateSettingsProps = {
+  value: PromptTemplate[];
+  onChange: (value: PromptTemplate[]) => void;
+};
+
+export function TemplateSettings({ value, onChange }: TemplateSettingsProps) {
+  const [editingId, setEditingId] = useState(value[0]?.id || "");
+  const [notice, setNotice] = useState("");
+  const fileRef = useRef<HTMLInputElement>(null);
+  const editing = value.find((t) => t.id === editingId);
+
+  function update(patch: Partial<PromptTemplate>) {
+    onChange(value.map((t) => (t.id === editingId ? { ...t, ...patch } : t)));
+  }
+
+  function add() {
+    const template = { id: newTemplateId(), name: "New template", body: "" };
+    onChange([...value, template]);
+    setEditingId(template.id);
+  }
+
+  function remove() {
+    if (!editing || !confirm(`Delete template "${editing.name}"?`)) return;
+    const templates = value.filter((t) => t.id !== editingId);
+    onChange(templates);
+    setEditingId(templates[0]?.id || "");
+  }
+
+  async function importFile(file: File) {
+    try {
+      const { templates, added } = mergeTemplates(value, await file.text());
+      onChange(templates);
+      setNotice(`Imported ${added} template${added === 1 ? "" : "s"}`);
+    } catch (error: any) {
+      setNotice(error?.message || String(error));
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="text-sm font-medium">Prompt Templates</div>
+        <div className="flex gap-1">
+          <input
+            ref={fileRef}
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              e.target.value = "";
+              if (file) importFile(file);
+            }}
+          />
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => fileRef.current?.click()}
+            title="Import templates from a JSON file"
+          >
+            <Upload className="h-4 w-4" />
+            Import
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            disabled={value.length === 0}
+            onClick={() =>
+              downloadText(
+                "prompt-templates.json",
+                templatesToJson(value),
+                "application/json"
+              ).catch((error) => setNotice(String(error)))
+            }
+            title="Export all templates to share them"
+          >
+            <Download className="h-4 w-4" />
+            Export
+          </Button>
+        </div>
+      </div>
+      <div className="flex gap-1">
+        <Select value={editingId} onValueChange={setEditingId}>
+          <SelectTrigger className="w-full">
+            <SelectValue placeholder="Select template" />
+          </SelectTrigger>
+          <SelectContent>
+            {value.map((t) => (
+              <SelectItem key={t.id} value={t.id}>
+                {t.name}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button variant="secondary" size="icon" onClick={add} title="Add">
+          <Plus className="h-4 w-4" />
+        </Button>
+        <Button
+          variant="secondary"
+          size="icon"
+          onClick={remove}
+          disabled={!editing}
+          title="Delete"
+        >
+          <Trash2 className="h-4 w-4" />
+        </Button>
+      </div>
+      {editing && (
+        <>
+          <Input
+            value={editing.name}
+            onChange={(e) => update({ name: e.target.value })}
+          />
+          <textarea
+            className="w-full min-h-28 rounded-md border border-input bg-transparent px-3 py-2 text-sm"
+            value={editing.body}
+            onChange={(e) => update({ body: e.target.value })}
+          />
+        </>
+      )}
+      <div className="text-xs text-muted-foreground">
+        Variables:{" "}
+        {TEMPLATE_VARIABLES.map((v) => (
+          <span key={v.name} title={v.description} className="mr-1">
+            {`{{${v.name}}}`}
+          </span>
+        ))}
+      </div>
+      {notice && <div className="text-xs text-muted-foreground">{notice}</div>}
+    </div>
+  );
+}
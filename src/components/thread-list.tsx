@@ -0,0 +1,241 @@
+import { useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Check,
+  Copy,
+  Download,
+  Pencil,
+  Plus,
+  Trash2,
+  Upload,
+  X,
+} from "lucide-react";
+import { cn } from "@/lib/utils";
+import type { ExportFormat } from "@/lib/export";
+import type { ThreadSummary } from "@/lib/types";
+
+type ThreadListProps = {
+  threads: ThreadSummary[];
+  activeId: string | null;
+  onSelect: (id: string) => void;
+  onNew: () => void;
+  onRename: (id: string, title: string) => void;
+  onDelete: (id: string) => void;
+  // Both reject with a user-facing message on failure
+  onExport: (id: string, format: ExportFormat, copy?: boolean) => Promise<void>;
+  onImport: (file: File) => Promise<void>;
+  onClose: () => void;
+};
+
+const EXPORT_FORMATS: { format: ExportFormat; label: string }[] = [
+  { format: "markdown", label: "Markdown" },
+  { format: "json", label: "JSON" },
+  { format: "html", label: "HTML" },
+];
+
+function formatUpdated(ts: number) {
+  const d = new Date(ts);
+  const sameDay = d.toDateString() === new Date().toDateString();
+  return sameDay
+    ? d.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    : d.toLocaleDateString();
+}
+
+export function ThreadList({
+  threads,
+  activeId,
+  onSelect,
+  onNew,
+  onRename,
+  onDelete,
+  onExport,
+  onImport,
+  onClose,
+}: ThreadListProps) {
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [draftTitle, setDraftTitle] = useState("");
+  const [exportingId, setExportingId] = useState<string | null>(null);
+  const [notice, setNotice] = useState("");
+  const fileRef = useRef<HTMLInputElement>(null);
+
+  async function run(action: Promise<void>, done: string) {
+    try {
+      await action;
+      setNotice(done);
+    } catch (error: any) {
+      setNotice(error?.message || String(error));
+    }
+  }
+
+  function commitRename() {
+    if (editingId && draftTitle.trim()) onRename(editingId, draftTitle);
+    setEditingId(null);
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-start justify-center z-50 pt-12">
+      <div className="bg-card border rounded-lg w-[520px] max-w-[90vw] p-4 space-y-3 shadow-lg">
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-semibold">Conversations</div>
+          <div className="flex items-center gap-1">
+            <input
+              ref={fileRef}
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={(e) => {
+                const file = e.target.files?.[0];
+                e.target.value = "";
+                if (file) run(onImport(file), `Imported ${file.name}`);
+              }}
+            />
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => fileRef.current?.click()}
+              title="Import a conversation exported as JSON"
+            >
+              <Upload className="h-4 w-4" />
+              Import
+            </Button>
+            <Button size="sm" onClick={onNew}>
+              <Plus className="h-4 w-4" />
+              New chat
+            </Button>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={onClose}
+              className="h-8 w-8 p-0"
+            >
+              <X className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+        {notice && (
+          <div className="text-xs text-muted-foreground">{notice}</div>
+        )}
+        <div className="max-h-[60vh] overflow-y-auto space-y-1">
+          {threads.length === 0 ? (
+            <div className="text-sm text-muted-foreground py-4 text-center">
+              No saved conversations yet.
+            </div>
+          ) : (
+            threads.map((t) => (
+              <div key={t.id}>
+                <div
+                  className={cn(
+                    "flex items-center gap-2 rounded-md px-2 py-1.5 text-sm",
+                    t.id === activeId ? "bg-muted" : "hover:bg-accent"
+                  )}
+                >
+                  {editingId === t.id ? (
+                    <>
+                      <Input
+                        autoFocus
+                        className="h-8"
+                        value={draftTitle}
+                        onChange={(e) => setDraftTitle(e.target.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === "Enter") commitRename();
+                          if (e.key === "Escape") setEditingId(null);
+                        }}
+                      />
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-8 w-8 p-0"
+                        onClick={commitRename}
+                        title="Save name"
+                      >
+                        <Check className="h-4 w-4" />
+                      </Button>
+                    </>
+                  ) : (
+                    <>
+                      <button
+                        className="flex-1 min-w-0 text-left"
+                        onClick={() => onSelect(t.id)}
+                      >
+                        <div className="truncate">{t.title}</div>
+                        <div className="text-xs text-muted-foreground">
+                          {formatUpdated(t.updatedAt)}
+                        </div>
+                      </button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-8 w-8 p-0"
+                        onClick={() =>
+                          setExportingId(exportingId === t.id ? null : t.id)
+                        }
+                        title="Export"
+                      >
+                        <Download className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-8 w-8 p-0"
+                        onClick={() => {
+                          setEditingId(t.id);
+                          setDraftTitle(t.title);
+                        }}
+                        title="Rename"
+                      >
+                        <Pencil className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-8 w-8 p-0"
+                        onClick={() => {
+                          if (confirm(`Delete "${t.title}"?`)) onDelete(t.id);
+                        }}
+                        title="Delete"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </>
+                  )}
+                </div>
+                {exportingId === t.id && (
+                  <div className="flex flex-wrap items-center gap-1 pl-2 pb-1">
+                    {EXPORT_FORMATS.map(({ format, label }) => (
+                      <Button
+                        key={format}
+                        variant="secondary"
+                        size="sm"
+                        className="h-7 text-xs"
+                        onClick={() =>
+                          run(onExport(t.id, format), `Exported ${label}`)
+                        }
+                      >
+                        {label}
+                      </Button>
+                    ))}
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="h-7 text-xs"
+                      onClick={() =>
+                        run(
+                          onExport(t.id, "markdown", true),
+                          "Copied Markdown to the clipboard"
+                        )
+                      }
+                    >
+                      <Copy className="h-3.5 w-3.5" />
+                      Copy Markdown
+                    </Button>
+                  </div>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
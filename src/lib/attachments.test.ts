@@ -0,0 +1,79 @@
+import {
+  storedAttachment,
+  toContentParts,
+  type Attachment,
+} from "@/lib/attachments";
+
+const image: Attachment = {
+  kind: "image",
+  name: "photo.png",
+  mimeType: "image/png",
+  size: 4_000_000,
+  data: "data:image/png;base64,FULL",
+  thumbnail: "data:image/jpeg;base64,SMALL",
+};
+
+const pdf: Attachment = {
+  kind: "pdf",
+  name: "report.pdf",
+  mimeType: "application/pdf",
+  size: 9_000_000,
+  data: "data:application/pdf;base64,FULL",
+};
+
+describe("storedAttachment", () => {
+  it("keeps only the thumbnail of an image", () => {
+    expect(storedAttachment(image)).toEqual({
+      kind: "image",
+      name: "photo.png",
+      mimeType: "image/png",
+      size: 4_000_000,
+      data: "data:image/jpeg;base64,SMALL",
+      reduced: true,
+    });
+  });
+
+  it("drops the contents of a PDF", () => {
+    expect(storedAttachment(pdf)).toMatchObject({ data: "", reduced: true });
+  });
+
+  it("keeps text files and already reduced attachments as they are", () => {
+    const text: Attachment = {
+      kind: "text",
+      name: "notes.md",
+      mimeType: "text/markdown",
+      size: 5,
+      data: "# Hi",
+    };
+    expect(storedAttachment(text)).toBe(text);
+    const reduced = storedAttachment(image);
+    expect(storedAttachment(reduced)).toBe(reduced);
+  });
+});
+
+describe("toContentParts", () => {
+  it("sends full attachments as image and file parts", () => {
+    expect(toContentParts("Look", [image, pdf])).toEqual([
+      { type: "text", text: "Look" },
+      { type: "image_url", image_url: { url: image.data } },
+      {
+        type: "file",
+        file: { filename: "report.pdf", file_data: pdf.data },
+      },
+    ]);
+  });
+
+  it("sends a reloaded image as its thumbnail and notes a dropped PDF", () => {
+    const parts = toContentParts("", [
+      storedAttachment(image),
+      storedAttachment(pdf),
+    ]);
+    expect(parts).toEqual([
+      { type: "image_url", image_url: { url: image.thumbnail } },
+      {
+        type: "text",
+        text: "[report.pdf was attached earlier and is no longer available]",
+      },
+    ]);
+  });
+});
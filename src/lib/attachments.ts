@@ -0,0 +1,160 @@
+// Composer attachments (images, PDFs, text files) and their encoding as
+// OpenRouter content parts
+
+export type Attachment = {
+  kind: "image" | "pdf" | "text";
+  name: string;
+  mimeType: string;
+  size: number;
+  // data: URL for images and PDFs; the file contents for text
+  data: string;
+  // Small JPEG of an image, saved with the thread in place of `data`
+  thumbnail?: string;
+  // Loaded from a saved thread: `data` holds the thumbnail (images) or
+  // nothing (PDFs) rather than the original file
+  reduced?: boolean;
+};
+
+export const ATTACHMENT_ACCEPT =
+  "image/png,image/jpeg,image/webp,image/gif,application/pdf,text/*,.md,.json,.csv,.log";
+
+const MAX_BYTES: Record<Attachment["kind"], number> = {
+  image: 10 * 1024 * 1024,
+  pdf: 20 * 1024 * 1024,
+  text: 512 * 1024,
+};
+
+const THUMBNAIL_SIZE = 320;
+
+const TEXT_EXTENSIONS =
+  /\.(md|markdown|txt|json|csv|tsv|log|xml|ya?ml|html?)$/i;
+
+function attachmentKind(file: File): Attachment["kind"] | null {
+  if (file.type.startsWith("image/")) return "image";
+  if (file.type === "application/pdf") return "pdf";
+  if (file.type.startsWith("text/") || TEXT_EXTENSIONS.test(file.name)) {
+    return "text";
+  }
+  return null;
+}
+
+function readAs(file: File, mode: "dataUrl" | "text"): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result || ""));
+    reader.onerror = () => reject(reader.error);
+    if (mode === "dataUrl") reader.readAsDataURL(file);
+    else reader.readAsText(file);
+  });
+}
+
+// Scaled-down JPEG of an image data URL, or undefined when the image cannot
+// be decoded
+async function makeThumbnail(dataUrl: string): Promise<string | undefined> {
+  try {
+    const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+    const scale = Math.min(
+      1,
+      THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height)
+    );
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    canvas
+      .getContext("2d")
+      ?.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return canvas.toDataURL("image/jpeg", 0.7);
+  } catch {
+    return undefined;
+  }
+}
+
+// Read a pasted, dropped or picked file. Throws with a user-facing message
+// when the type is unsupported or the file is too large.
+export async function readAttachment(file: File): Promise<Attachment> {
+  const kind = attachmentKind(file);
+  if (!kind) throw new Error(`${file.name}: unsupported file type`);
+  const limit = MAX_BYTES[kind];
+  if (file.size > limit) {
+    throw new Error(
+      `${file.name}: larger than ${Math.round(limit / 1024 / 1024) || 0.5} MB`
+    );
+  }
+  const data = await readAs(file, kind === "text" ? "text" : "dataUrl");
+  return {
+    kind,
+    name: file.name || `${kind}-${Date.now()}`,
+    mimeType: file.type || "text/plain",
+    size: file.size,
+    data,
+    thumbnail: kind === "image" ? await makeThumbnail(data) : undefined,
+  };
+}
+
+// Screenshot of the visible part of the active tab in the current window
+export async function captureVisibleTab(): Promise<Attachment> {
+  const data = await chrome.tabs.captureVisibleTab({ format: "png" });
+  return {
+    kind: "image",
+    name: `screenshot-${new Date().toISOString().slice(0, 19)}.png`,
+    mimeType: "image/png",
+    size: Math.round((data.length * 3) / 4),
+    data,
+    thumbnail: await makeThumbnail(data),
+  };
+}
+
+// What a saved thread keeps of an attachment. Images and PDFs (up to tens of
+// MB each) are only needed in full for the request that sends them, so
+// images keep their thumbnail and PDFs just their name and size.
+export function storedAttachment(a: Attachment): Attachment {
+  if (a.kind === "text" || a.reduced) return a;
+  const rest = { ...a };
+  delete rest.thumbnail;
+  return {
+    ...rest,
+    data: a.kind === "image" ? a.thumbnail || "" : "",
+    reduced: true,
+  };
+}
+
+// Text plus attachments as OpenRouter content parts. Text files are inlined
+// as text parts; PDFs use the `file` part so OpenRouter can parse them.
+// Attachments of a reloaded thread go as their thumbnail, or as a note when
+// nothing of the file was kept.
+export function toContentParts(text: string, attachments: Attachment[]) {
+  const parts: any[] = [];
+  if (text) parts.push({ type: "text", text });
+  for (const a of attachments) {
+    if (a.reduced && !a.data) {
+      parts.push({
+        type: "text",
+        text: `[${a.name} was attached earlier and is no longer available]`,
+      });
+    } else if (a.kind === "image") {
+      parts.push({ type: "image_url", image_url: { url: a.data } });
+    } else if (a.kind === "pdf") {
+      parts.push({
+        type: "file",
+        file: { filename: a.name, file_data: a.data },
+      });
+    } else {
+      parts.push({
+        type: "text",
+        text: `File: ${a.name}\n\`\`\`\n${a.data}\n\`\`\``,
+      });
+    }
+  }
+  return parts;
+}
+
+// Input modalities a model must accept for these attachments
+export function requiredModalities(
+  attachments: Attachment[]
+): ("image" | "file")[] {
+  const out: ("image" | "file")[] = [];
+  if (attachments.some((a) => a.kind === "image")) out.push("image");
+  if (attachments.some((a) => a.kind === "pdf")) out.push("file");
+  return out;
+}
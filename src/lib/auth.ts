@@ -0,0 +1,90 @@
+// OpenRouter sign-in with OAuth PKCE: the user approves a key on
+// openrouter.ai and the panel receives it, so no raw key is pasted
+
+import * as OR from "@/utils/openrouter-client.js";
+
+const AUTH_URL = "https://openrouter.ai/auth";
+const API_KEY_KEY = "openrouter_api_key";
+const AUTH_INFO_KEY = "openrouter_auth";
+
+// How the stored key got there, shown in settings
+export type AuthInfo = {
+  method: "oauth" | "manual";
+  signedInAt: number;
+  label?: string;
+};
+
+function base64Url(bytes: Uint8Array): string {
+  let text = "";
+  bytes.forEach((b) => (text += String.fromCharCode(b)));
+  return btoa(text).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// 32 random bytes: a 43-character verifier, within RFC 7636's 43-128
+export function createCodeVerifier(): string {
+  return base64Url(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+// S256 challenge: base64url(SHA-256(verifier))
+export async function codeChallenge(verifier: string): Promise<string> {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(verifier)
+  );
+  return base64Url(new Uint8Array(digest));
+}
+
+// Run the whole flow and store the key. Throws with a user-facing message
+// when the window is closed or OpenRouter refuses.
+export async function signInWithOpenRouter(): Promise<string> {
+  const verifier = createCodeVerifier();
+  const params = new URLSearchParams({
+    callback_url: chrome.identity.getRedirectURL("openrouter"),
+    code_challenge: await codeChallenge(verifier),
+    code_challenge_method: "S256",
+  });
+  let redirect: string | undefined;
+  try {
+    redirect = await chrome.identity.launchWebAuthFlow({
+      url: `${AUTH_URL}?${params}`,
+      interactive: true,
+    });
+  } catch (error: any) {
+    throw new Error(
+      `Sign-in did not complete: ${error?.message || String(error)}`
+    );
+  }
+  const code = redirect ? new URL(redirect).searchParams.get("code") : null;
+  if (!code) throw new Error("OpenRouter did not return an authorization code");
+  const key = await OR.OpenRouterClient.exchangeAuthCode(code, verifier);
+  let label: string | undefined;
+  try {
+    label = (await new OR.OpenRouterClient(key).getKeyInfo()).label;
+  } catch {
+    label = undefined;
+  }
+  await saveApiKey(key, { method: "oauth", signedInAt: Date.now(), label });
+  return key;
+}
+
+export async function loadAuthInfo(): Promise<AuthInfo | null> {
+  try {
+    const stored = await chrome.storage.local.get([AUTH_INFO_KEY]);
+    const info = stored?.[AUTH_INFO_KEY];
+    return info && (info.method === "oauth" || info.method === "manual")
+      ? info
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function saveApiKey(key: string, info: AuthInfo) {
+  await chrome.storage.local.set({ [API_KEY_KEY]: key, [AUTH_INFO_KEY]: info });
+}
+
+// Forget the key locally. OpenRouter keeps it valid until it is deleted in
+// the account's key settings.
+export async function signOut() {
+  await chrome.storage.local.remove([API_KEY_KEY, AUTH_INFO_KEY]);
+}
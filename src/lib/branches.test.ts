@@ -0,0 +1,138 @@
+import { branchAnswers, forkAt, switchBranch, turnStart } from "@/lib/branches";
+import type { ChatMessage } from "@/lib/types";
+
+const user = (content: string): ChatMessage => ({ role: "user", content });
+const assistant = (content: string): ChatMessage => ({
+  role: "assistant",
+  content,
+});
+
+function contents(messages: ChatMessage[]) {
+  return messages.map((m) => m.content);
+}
+
+describe("forkAt", () => {
+  const thread = [user("q1"), assistant("a1"), user("q2"), assistant("a2")];
+
+  it("keeps the current tail as a sibling of the new turn", () => {
+    const first = forkAt(thread, 2, user("q2 edited"));
+    expect(first.content).toBe("q2 edited");
+    expect(first.branch).toEqual({
+      tails: [[user("q2"), assistant("a2")], []],
+      active: 1,
+    });
+  });
+
+  it("adds further siblings to an existing fork", () => {
+    const edited = [
+      ...thread.slice(0, 2),
+      forkAt(thread, 2, user("q2 edited")),
+      assistant("a2 edited"),
+    ];
+    const first = forkAt(edited, 2, user("q2 again"));
+    expect(first.branch?.active).toBe(2);
+    expect(first.branch?.tails.map(contents)).toEqual([
+      ["q2", "a2"],
+      ["q2 edited", "a2 edited"],
+      [],
+    ]);
+    expect(first.branch?.tails[1][0].branch).toBeUndefined();
+  });
+
+  it("can fork at the end of the thread", () => {
+    const first = forkAt(thread, 4, user("q3"));
+    expect(first.branch).toEqual({ tails: [[], []], active: 1 });
+  });
+});
+
+describe("switchBranch", () => {
+  const thread = [user("q1"), assistant("a1"), user("q2"), assistant("a2")];
+  const edited = [
+    ...thread.slice(0, 2),
+    forkAt(thread, 2, user("q2 edited")),
+    assistant("a2 edited"),
+  ];
+
+  it("swaps in the chosen tail and stores the shown one", () => {
+    const switched = switchBranch(edited, 2, 0);
+    expect(contents(switched)).toEqual(["q1", "a1", "q2", "a2"]);
+    expect(switched[2].branch?.active).toBe(0);
+    expect(switched[2].branch?.tails.map(contents)).toEqual([
+      [],
+      ["q2 edited", "a2 edited"],
+    ]);
+  });
+
+  it("round-trips back to the same messages", () => {
+    expect(switchBranch(switchBranch(edited, 2, 0), 2, 1)).toEqual(edited);
+  });
+
+  it("keeps forks nested inside a tail", () => {
+    const longer = [...edited, user("q3"), assistant("a3")];
+    const nested = [
+      ...longer.slice(0, 4),
+      forkAt(longer, 4, user("q3 edited")),
+    ];
+    const back = switchBranch(switchBranch(nested, 2, 0), 2, 1);
+    expect(back).toEqual(nested);
+    expect(back[4].branch?.tails.map(contents)).toEqual([["q3", "a3"], []]);
+  });
+
+  it("ignores unknown, empty and already shown siblings", () => {
+    expect(switchBranch(thread, 2, 0)).toBe(thread);
+    expect(switchBranch(edited, 2, 1)).toBe(edited);
+    expect(switchBranch(edited, 2, 5)).toBe(edited);
+  });
+});
+
+describe("branchAnswers", () => {
+  it("shows the chosen answer and keeps the others as siblings", () => {
+    const answers = [assistant("gpt"), assistant("claude"), assistant("llama")];
+    const [first, shown] = branchAnswers(user("q"), answers, 1);
+    expect(shown.content).toBe("claude");
+    expect(first.branch?.active).toBe(0);
+    expect(first.branch?.tails.map(contents)).toEqual([
+      [],
+      ["q", "gpt"],
+      ["q", "llama"],
+    ]);
+  });
+
+  it("lets the other answers be switched to", () => {
+    const answers = [assistant("gpt"), assistant("claude")];
+    const messages = [
+      assistant("intro"),
+      ...branchAnswers(user("q"), answers, 0),
+    ];
+    expect(contents(switchBranch(messages, 1, 1))).toEqual([
+      "intro",
+      "q",
+      "claude",
+    ]);
+  });
+
+  it("adds to the siblings of a turn that was already forked", () => {
+    const thread = [user("q"), assistant("a")];
+    const first = forkAt(thread, 0, user("q edited"));
+    const [head] = branchAnswers(first, [assistant("x"), assistant("y")], 0);
+    expect(head.branch?.active).toBe(1);
+    expect(head.branch?.tails.map(contents)).toEqual([
+      ["q", "a"],
+      [],
+      ["q edited", "y"],
+    ]);
+  });
+
+  it("does not fork for a single answer", () => {
+    const [first] = branchAnswers(user("q"), [assistant("a")], 0);
+    expect(first.branch).toBeUndefined();
+  });
+});
+
+describe("turnStart", () => {
+  it("finds the user turn an answer belongs to", () => {
+    const thread = [user("q1"), assistant("a1"), assistant("a1 more")];
+    expect(turnStart(thread, 2)).toBe(0);
+    expect(turnStart([assistant("hello")], 0)).toBe(-1);
+  });
+});
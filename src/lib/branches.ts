@@ -0,0 +1,84 @@
+// Conversation branches. Edits and regenerations fork the thread at a user
+// turn. The first message of the live tail carries every sibling tail, so
+// the whole tree is saved with the thread's messages and forks nested deeper
+// in a tail survive switching away from it.
+
+import type { ChatMessage } from "@/lib/types";
+
+function withoutBranch(m: ChatMessage): ChatMessage {
+  const rest = { ...m };
+  delete rest.branch;
+  return rest;
+}
+
+// Start a new sibling at `index` whose first message is `first`. The current
+// tail from `index` on is kept as a sibling; returns `first` carrying the
+// updated branch list, to be appended to `messages.slice(0, index)`.
+export function forkAt(
+  messages: ChatMessage[],
+  index: number,
+  first: ChatMessage
+): ChatMessage {
+  const current = messages.slice(index);
+  const branch = current[0]?.branch;
+  const tails = branch ? [...branch.tails] : [[]];
+  const active = branch ? branch.active : 0;
+  if (current.length > 0) {
+    tails[active] = [withoutBranch(current[0]), ...current.slice(1)];
+  }
+  tails.push([]);
+  return {
+    ...withoutBranch(first),
+    branch: { tails, active: tails.length - 1 },
+  };
+}
+
+// Show sibling `target` of the fork at `index`
+export function switchBranch(
+  messages: ChatMessage[],
+  index: number,
+  target: number
+): ChatMessage[] {
+  const head = messages[index];
+  const branch = head?.branch;
+  if (!branch || target === branch.active) return messages;
+  const chosen = branch.tails[target];
+  if (!chosen?.length) return messages;
+  const tails = [...branch.tails];
+  tails[branch.active] = [withoutBranch(head), ...messages.slice(index + 1)];
+  tails[target] = [];
+  const [first, ...rest] = chosen;
+  return [
+    ...messages.slice(0, index),
+    { ...first, branch: { tails, active: target } },
+    ...rest,
+  ];
+}
+
+// A user turn answered several ways at once (compare mode): answer `chosen`
+// is shown and the others become sibling tails of the turn. Returns the
+// messages to append after the turn's history.
+export function branchAnswers(
+  first: ChatMessage,
+  answers: ChatMessage[],
+  chosen: number
+): ChatMessage[] {
+  const base = withoutBranch(first);
+  const tails = first.branch ? [...first.branch.tails] : [[]];
+  const active = first.branch ? first.branch.active : 0;
+  answers.forEach((answer, i) => {
+    if (i !== chosen) tails.push([base, answer]);
+  });
+  return [
+    tails.length > 1 ? { ...base, branch: { tails, active } } : base,
+    answers[chosen],
+  ];
+}
+
+// The user turn an assistant message answers, or -1
+export function turnStart(messages: ChatMessage[], index: number): number {
+  for (let i = index; i >= 0; i--) {
+    if (messages[i].role === "user") return i;
+  }
+  return -1;
+}
@@ -0,0 +1,83 @@
+// Composer slash commands. Each one either runs a background action directly
+// or sends a structured prompt; the side panel owns the execution.
+
+export type SlashCommand = {
+  name: string;
+  // Argument hint shown in the autocomplete popover
+  args: string;
+  description: string;
+  // Sub-commands, e.g. `/todo add`
+  subcommands?: string[];
+};
+
+export const SLASH_COMMANDS: SlashCommand[] = [
+  {
+    name: "summarize",
+    args: "[focus]",
+    description: "Summarize the active page",
+  },
+  {
+    name: "prices",
+    args: "<query>",
+    description: "Look up current prices",
+  },
+  { name: "upc", args: "<code or product>", description: "Look up UPC codes" },
+  {
+    name: "todo",
+    args: "add <title> | list | done <id> | clear",
+    description: "Manage the to-do list",
+    subcommands: ["add", "list", "done", "clear"],
+  },
+  {
+    name: "sheet",
+    args: "append [sheet name]",
+    description: "Append the active page summary to the linked sheet",
+    subcommands: ["append"],
+  },
+  { name: "model", args: "<id or name>", description: "Switch model" },
+  { name: "clear", args: "", description: "Start a new empty conversation" },
+  {
+    name: "export",
+    args: "[markdown | json | html]",
+    description: "Download this conversation",
+  },
+];
+
+export type ParsedCommand = {
+  command: SlashCommand;
+  // Everything after the command name, trimmed
+  args: string;
+};
+
+// A complete `/name args` input, or null when the input is not a command
+export function parseSlashCommand(input: string): ParsedCommand | null {
+  const match = /^\/(\S+)(?:\s+([\s\S]*))?$/.exec(input.trim());
+  if (!match) return null;
+  const command = SLASH_COMMANDS.find((c) => c.name === match[1].toLowerCase());
+  return command ? { command, args: (match[2] || "").trim() } : null;
+}
+
+// Commands matching the name being typed, while the input is only `/name`
+export function matchSlashCommands(input: string): SlashCommand[] | null {
+  const match = /^\/(\S*)$/.exec(input);
+  if (!match) return null;
+  const query = match[1].toLowerCase();
+  return SLASH_COMMANDS.filter((c) => c.name.startsWith(query));
+}
+
+// Split `add buy milk` into the sub-command and the rest
+export function splitSubcommand(args: string): [string, string] {
+  const match = /^(\S+)\s*([\s\S]*)$/.exec(args);
+  return match ? [match[1].toLowerCase(), match[2].trim()] : ["", ""];
+}
+
+// Prompt for /summarize; the active tab goes along as page context
+export function summarizePrompt(focus: string): string {
+  return [
+    "Summarize this page.",
+    focus ? `Focus on: ${focus}.` : "",
+    "Start with a one-sentence overview, then list the key points as bullets, then any numbers, dates or action items worth keeping.",
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
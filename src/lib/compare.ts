@@ -0,0 +1,73 @@
+// Compare mode: one prompt answered by several models side by side, one of
+// which is kept as the thread's reply
+
+import type { ChatMessage } from "@/lib/types";
+
+const COMPARE_MODELS_KEY = "compare_models";
+
+export const MIN_COMPARE_MODELS = 2;
+export const MAX_COMPARE_MODELS = 4;
+
+export type CompareColumn = {
+  model: string;
+  content: string;
+  reasoning: string;
+  status: "streaming" | "done" | "error" | "cancelled";
+  error?: string;
+  // Milliseconds from sending to the first token and to the full answer
+  firstTokenMs?: number;
+  latencyMs?: number;
+  response?: ChatMessage["response"];
+  reasoningTokens?: number;
+};
+
+export type Comparison = {
+  // Where the compared user turn sits in the thread
+  index: number;
+  columns: CompareColumn[];
+};
+
+export async function loadCompareModels(): Promise<string[]> {
+  try {
+    const stored = await chrome.storage.local.get([COMPARE_MODELS_KEY]);
+    const list = stored?.[COMPARE_MODELS_KEY];
+    return Array.isArray(list)
+      ? list
+          .filter((id: any) => typeof id === "string")
+          .slice(0, MAX_COMPARE_MODELS)
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+export async function saveCompareModels(ids: string[]) {
+  await chrome.storage.local.set({ [COMPARE_MODELS_KEY]: ids });
+}
+
+// Add or remove a model, keeping at most MAX_COMPARE_MODELS
+export function toggleCompareModel(ids: string[], id: string): string[] {
+  if (ids.includes(id)) return ids.filter((m) => m !== id);
+  return ids.length >= MAX_COMPARE_MODELS ? ids : [...ids, id];
+}
+
+// The thread message for a finished column
+export function columnMessage(column: CompareColumn): ChatMessage {
+  const message: ChatMessage = {
+    role: "assistant",
+    content: column.content,
+    response: column.response || { model: column.model },
+  };
+  if (column.reasoning) {
+    message.reasoning = {
+      text: column.reasoning,
+      tokens: column.reasoningTokens,
+    };
+  }
+  return message;
+}
+
+export function formatLatency(ms?: number): string {
+  if (ms == null) return "";
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
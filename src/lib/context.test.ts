@@ -0,0 +1,101 @@
+import { planCompaction, trimConversation } from "@/lib/context";
+import type { ChatMessage } from "@/lib/types";
+
+// 400 characters: 100 estimated tokens
+const TEXT = "x".repeat(400);
+
+function turns(count: number, first: "user" | "assistant" = "user") {
+  const other = first === "user" ? "assistant" : "user";
+  return Array.from({ length: count }, (_, i): ChatMessage => ({
+    role: i % 2 === 0 ? first : other,
+    content: TEXT,
+  }));
+}
+
+describe("planCompaction", () => {
+  it("leaves conversations under three quarters of the budget alone", () => {
+    expect(planCompaction(turns(7), 1000)).toBe(0);
+  });
+
+  it("cuts at a user turn, keeping the recent turns and half the budget", () => {
+    const messages = turns(20);
+    const cut = planCompaction(messages, 1000);
+    expect(cut).toBe(14);
+    expect(messages[cut].role).toBe("user");
+  });
+
+  it("always keeps the most recent turns, even over budget", () => {
+    const cut = planCompaction(turns(10), 100);
+    expect(cut).toBe(4);
+    expect(10 - cut).toBeGreaterThanOrEqual(6);
+  });
+
+  it("ignores notices and already summarized turns", () => {
+    const notices: ChatMessage[] = Array.from({ length: 20 }, () => ({
+      role: "assistant",
+      content: TEXT,
+      error: { kind: "rate_limit" },
+    }));
+    const summarized = turns(20).map((m) => ({ ...m, summarized: true }));
+    expect(planCompaction([...notices, ...turns(7)], 1000)).toBe(0);
+    expect(planCompaction([...summarized, ...turns(7)], 1000)).toBe(0);
+  });
+
+  it("does not re-summarize when only the previous summary would fold", () => {
+    const summary: ChatMessage = {
+      role: "assistant",
+      content: "x".repeat(4000),
+      summary: { turns: 30 },
+    };
+    expect(planCompaction([summary, ...turns(12)], 2400)).toBe(0);
+  });
+});
+
+describe("trimConversation", () => {
+  const call = {
+    id: "call_1",
+    type: "function",
+    function: { name: "get_page", arguments: "{}" },
+  };
+
+  it("keeps system messages and the newer half from a user turn", () => {
+    const convo = [
+      { role: "system", content: "rules" },
+      { role: "user", content: "q1" },
+      { role: "assistant", content: null, tool_calls: [call] },
+      { role: "tool", tool_call_id: "call_1", content: "page" },
+      { role: "assistant", content: "a1" },
+      { role: "user", content: "q2" },
+      { role: "assistant", content: "a2" },
+    ];
+    expect(trimConversation(convo).map((m) => m.content)).toEqual([
+      "rules",
+      "q2",
+      "a2",
+    ]);
+  });
+
+  it("clips long tool results", () => {
+    const convo = [
+      { role: "user", content: "q1" },
+      { role: "assistant", content: "a1" },
+      { role: "user", content: "q2" },
+      { role: "assistant", content: null, tool_calls: [call] },
+      { role: "tool", tool_call_id: "call_1", content: "y".repeat(50) },
+    ];
+    const [, , tool] = trimConversation(convo, 20);
+    expect(tool.content).toBe("y".repeat(20) + "\n[truncated 30 characters]");
+  });
+
+  it("falls back to the last user turn rather than orphaned tool results", () => {
+    const convo = [
+      { role: "user", content: "q1" },
+      { role: "assistant", content: null, tool_calls: [call] },
+      { role: "tool", tool_call_id: "call_1", content: "one" },
+      { role: "assistant", content: null, tool_calls: [call] },
+      { role: "tool", tool_call_id: "call_1", content: "two" },
+      { role: "assistant", content: null, tool_calls: [call] },
+    ];
+    expect(trimConversation(convo)).toEqual([convo[0]]);
+  });
+});
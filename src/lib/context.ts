@@ -0,0 +1,268 @@
+// Conversation context helpers for keeping requests within a model's window
+
+import { toContentParts } from "@/lib/attachments";
+import type { AttachedContext, ChatMessage } from "@/lib/types";
+
+type ContextMessage = {
+  role: string;
+  content: string | any[] | null;
+  [key: string]: any;
+};
+
+// Rough token estimate (~4 characters per token); good enough for budget and
+// context checks before a request is sent
+export function estimateTokens(text: string | null | undefined): number {
+  return text ? Math.ceil(text.length / 4) : 0;
+}
+
+// Images and files are billed very differently per model; a flat allowance
+// keeps their base64 payload out of the estimate
+const ATTACHMENT_TOKENS = 1000;
+
+export function estimateRequestTokens(convo: ContextMessage[]): number {
+  let total = 0;
+  for (const m of convo) {
+    if (Array.isArray(m.content)) {
+      for (const part of m.content) {
+        total +=
+          part?.type === "text" ? estimateTokens(part.text) : ATTACHMENT_TOKENS;
+      }
+    } else {
+      total += estimateTokens(m.content);
+    }
+    if (m.tool_calls) total += estimateTokens(JSON.stringify(m.tool_calls));
+  }
+  return total;
+}
+
+// Per-message estimate for the context meter and compaction planning
+export function messageTokens(m: ChatMessage): number {
+  let total = estimateTokens(m.content);
+  for (const c of m.context || []) total += c.tokens;
+  total += (m.attachments || []).reduce(
+    (sum, a) =>
+      sum + (a.kind === "text" ? estimateTokens(a.data) : ATTACHMENT_TOKENS),
+    0
+  );
+  return total;
+}
+
+// Used when the model list has no context_length for the model (or "auto")
+const DEFAULT_CONTEXT_TOKENS = 32000;
+
+// Tokens available for the prompt: the model's window minus room for the
+// answer
+export function promptBudget(model: any, maxTokens?: number): number {
+  const window =
+    typeof model?.context_length === "number" && model.context_length > 0
+      ? model.context_length
+      : DEFAULT_CONTEXT_TOKENS;
+  const reserve = Math.min(maxTokens || 4096, Math.floor(window / 2));
+  return window - reserve;
+}
+
+export function formatTokenCount(n: number): string {
+  return n < 1000 ? String(n) : `${Math.round(n / 100) / 10}k`;
+}
+
+// UI-only notices (step budget, cancellation, errors) never go to the model
+export function isConversational(m: ChatMessage): boolean {
+  return !m.stopReason && !m.error;
+}
+
+export function formatContextBlocks(items: AttachedContext[]): string {
+  return items
+    .map((c) => {
+      const attrs = [
+        `source="${c.kind === "selection" ? "selection" : "tab"}"`,
+        `title="${c.title.replace(/"/g, "'")}"`,
+        c.url ? `url="${c.url}"` : "",
+      ]
+        .filter(Boolean)
+        .join(" ");
+      return `<page_context ${attrs}>\n${c.text}\n</page_context>`;
+    })
+    .join("\n\n");
+}
+
+// Text of a user turn with its attached page context ahead of the question
+export function withContext(content: string, items?: AttachedContext[]) {
+  if (!items?.length) return content;
+  return [
+    "The user attached the following page context.",
+    formatContextBlocks(items),
+    content,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+// Slash command results go along with their step, clipped to this
+const COMMAND_RESULT_CHARS = 4000;
+
+// Strip UI-only fields so only what the API understands is sent. Empty turns
+// (e.g. a draft that only carried reasoning) are skipped.
+// Summarized turns are replaced by the summary that follows them.
+export function toRequestMessages(messages: ChatMessage[]): ContextMessage[] {
+  return messages
+    .filter(
+      (m) =>
+        isConversational(m) &&
+        !m.summarized &&
+        (m.content || m.attachments?.length || m.context?.length)
+    )
+    .map((m) => {
+      if (m.summary) {
+        return {
+          role: "system",
+          content: `Summary of the earlier conversation:\n${m.content}`,
+        };
+      }
+      if (m.automation?.command) {
+        const result = m.automation.debug?.result;
+        return {
+          role: m.role,
+          content: `${m.content}\n\nResult of ${
+            m.automation.command
+          }:\n${clipToolOutput(
+            JSON.stringify(result?.data ?? result ?? null),
+            COMMAND_RESULT_CHARS
+          )}`,
+        };
+      }
+      const text = withContext(m.content, m.context);
+      const content = m.attachments?.length
+        ? toContentParts(text, m.attachments)
+        : text;
+      return m.name
+        ? { role: m.role, content, name: m.name }
+        : { role: m.role, content };
+    });
+}
+
+// Drop the oldest half of the conversation and clip oversized tool results.
+// The trimmed history always starts at a user turn so no tool result is left
+// without the assistant call that produced it.
+export function trimConversation<T extends ContextMessage>(
+  convo: T[],
+  maxToolChars = 4000
+): T[] {
+  const system = convo.filter((m) => m.role === "system");
+  const rest = convo.filter((m) => m.role !== "system");
+  let kept = rest.slice(Math.floor(rest.length / 2));
+  const firstUser = kept.findIndex((m) => m.role === "user");
+  kept = firstUser >= 0 ? kept.slice(firstUser) : [];
+  if (kept.length === 0) {
+    const lastUser = [...rest].reverse().find((m) => m.role === "user");
+    kept = lastUser ? [lastUser] : [];
+  }
+  const clipped = kept.map((m) =>
+    m.role === "tool" &&
+    typeof m.content === "string" &&
+    m.content.length > maxToolChars
+      ? {
+          ...m,
+          content:
+            m.content.slice(0, maxToolChars) +
+            `\n[truncated ${m.content.length - maxToolChars} characters]`,
+        }
+      : m
+  );
+  return [...system, ...clipped];
+}
+
+// Tool results beyond this are cut before they are sent
+const MAX_TOOL_CHARS = 12000;
+// Floor when older tool results are shrunk to fit the window
+const MIN_TOOL_CHARS = 1000;
+
+// Cut an oversized tool result, telling the model how much it is missing
+export function clipToolOutput(content: string, maxChars = MAX_TOOL_CHARS) {
+  if (content.length <= maxChars) return content;
+  return (
+    content.slice(0, maxChars) +
+    `\n[Output truncated: showing ${maxChars} of ${content.length} characters. Call the tool again with a narrower request if you need the rest.]`
+  );
+}
+
+// Keep a running agent loop within the window by shrinking older tool
+// results first; the results of the latest tool turn are left alone.
+export function fitToolOutputs<T extends ContextMessage>(
+  convo: T[],
+  budget: number
+): T[] {
+  let lastAssistant = -1;
+  convo.forEach((m, i) => {
+    if (m.role === "assistant") lastAssistant = i;
+  });
+  let out = convo;
+  let maxChars = MAX_TOOL_CHARS / 2;
+  while (estimateRequestTokens(out) > budget && maxChars >= MIN_TOOL_CHARS) {
+    const limit = maxChars;
+    out = out.map((m, i) =>
+      m.role === "tool" && i < lastAssistant && typeof m.content === "string"
+        ? { ...m, content: clipToolOutput(m.content, limit) }
+        : m
+    );
+    maxChars = Math.floor(maxChars / 2);
+  }
+  return out;
+}
+
+// Compact once the conversation fills this share of the prompt budget
+const COMPACT_AT = 0.75;
+// Turns that are always sent verbatim
+const KEEP_RECENT = 6;
+
+// How many leading messages to fold into a rolling summary so the rest fits
+// comfortably, or 0 when no compaction is needed. The cut always lands on a
+// user turn so a question is never separated from its answer.
+export function planCompaction(
+  messages: ChatMessage[],
+  budget: number
+): number {
+  const live = messages.map((m) => isConversational(m) && !m.summarized);
+  const total = messages.reduce(
+    (sum, m, i) => sum + (live[i] ? messageTokens(m) : 0),
+    0
+  );
+  if (total <= budget * COMPACT_AT) return 0;
+  let kept = 0;
+  let recent = 0;
+  let cut = 0;
+  for (let i = messages.length - 1; i > 0; i--) {
+    if (!live[i]) continue;
+    kept += messageTokens(messages[i]);
+    recent++;
+    if (messages[i].role !== "user" || recent < KEEP_RECENT) continue;
+    if (cut && kept > budget / 2) break;
+    cut = i;
+  }
+  // Nothing new to fold in when only the previous summary precedes the cut
+  const foldable = messages.slice(0, cut).some((m, i) => live[i] && !m.summary);
+  return foldable ? cut : 0;
+}
+
+// Messages asking the model to fold older turns (and the previous summary)
+// into one updated summary
+export function summaryRequest(messages: ChatMessage[]): ContextMessage[] {
+  const transcript = messages
+    .filter((m) => isConversational(m) && !m.summarized)
+    .map((m) =>
+      m.summary
+        ? `Earlier summary:\n${m.content}`
+        : `${m.role === "user" ? "User" : "Assistant"}: ${withContext(
+            m.content,
+            m.context
+          )}`
+    )
+    .join("\n\n");
+  return [
+    {
+      role: "system",
+      content:
+        "Summarize the conversation below so it can replace the original turns. Keep facts, decisions, names, URLs, numbers and open questions; drop pleasantries. Fold any earlier summary in. Write concise Markdown.",
+    },
+    { role: "user", content: transcript },
+  ];
+}
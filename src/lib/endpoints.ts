@@ -0,0 +1,76 @@
+// Custom OpenAI-compatible endpoints (local servers such as Ollama, LM Studio
+// and vLLM, or other hosted APIs) whose models join OpenRouter's in the picker
+
+import type { CustomEndpoint } from "@/utils/openrouter-client.js";
+
+const ENDPOINTS_KEY = "custom_endpoints";
+
+export type EndpointConfig = CustomEndpoint & { enabled: boolean };
+
+// Starting points for "Add endpoint"; every field stays editable
+export const ENDPOINT_PRESETS: { label: string; endpoint: CustomEndpoint }[] = [
+  {
+    label: "Ollama",
+    endpoint: {
+      id: "ollama",
+      name: "Ollama",
+      baseUrl: "http://localhost:11434/v1",
+    },
+  },
+  {
+    label: "LM Studio",
+    endpoint: {
+      id: "lmstudio",
+      name: "LM Studio",
+      baseUrl: "http://localhost:1234/v1",
+    },
+  },
+  {
+    label: "vLLM",
+    endpoint: { id: "vllm", name: "vLLM", baseUrl: "http://localhost:8000/v1" },
+  },
+  {
+    label: "Other",
+    endpoint: { id: "custom", name: "Custom", baseUrl: "https://" },
+  },
+];
+
+// Ids prefix model ids ("ollama::llama3.1"), so they stay short, unique and
+// free of the separator
+export function endpointId(name: string, taken: string[]): string {
+  const base =
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9-]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "endpoint";
+  let id = base;
+  for (let n = 2; taken.includes(id) || id === "openrouter"; n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+function isEndpoint(e: any): e is EndpointConfig {
+  return e && typeof e.id === "string" && typeof e.baseUrl === "string";
+}
+
+export async function loadEndpoints(): Promise<EndpointConfig[]> {
+  try {
+    const stored = await chrome.storage.local.get([ENDPOINTS_KEY]);
+    const list = stored?.[ENDPOINTS_KEY];
+    return Array.isArray(list)
+      ? list.filter(isEndpoint).map((e) => ({ ...e, enabled: !!e.enabled }))
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+export async function saveEndpoints(endpoints: EndpointConfig[]) {
+  await chrome.storage.local.set({ [ENDPOINTS_KEY]: endpoints });
+}
+
+// The endpoints to hand the client
+export function activeEndpoints(endpoints: EndpointConfig[]): CustomEndpoint[] {
+  return endpoints.filter((e) => e.enabled && e.baseUrl.trim());
+}
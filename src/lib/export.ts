@@ -0,0 +1,288 @@
+// Thread export (Markdown, JSON, HTML) and JSON import
+
+import { createElement } from "react";
+import { renderToStaticMarkup } from "react-dom/server";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import { formatUsd } from "@/lib/ledger";
+import type { ChatMessage, ChatThread } from "@/lib/types";
+
+export type ExportFormat = "markdown" | "json" | "html";
+
+// Marks files written by this extension so imports can be recognised
+const JSON_FORMAT = "openrouter-panel-thread";
+const JSON_VERSION = 1;
+
+const EXTENSIONS: Record<ExportFormat, string> = {
+  markdown: "md",
+  json: "json",
+  html: "html",
+};
+
+const MIME_TYPES: Record<ExportFormat, string> = {
+  markdown: "text/markdown",
+  json: "application/json",
+  html: "text/html",
+};
+
+function roleLabel(m: ChatMessage): string {
+  if (m.summary) return "Summary";
+  if (m.automation?.isAutomation) return "Tool";
+  return m.role === "user" ? "User" : "Assistant";
+}
+
+// "model · via provider · $0.0012 · 120 in / 40 out"
+function responseLine(m: ChatMessage): string {
+  const r = m.response;
+  if (!r?.model) return "";
+  return [
+    r.model,
+    r.provider ? `via ${r.provider}` : "",
+    r.cost != null ? formatUsd(r.cost) : "",
+    r.promptTokens || r.completionTokens
+      ? `${r.promptTokens || 0} in / ${r.completionTokens || 0} out`
+      : "",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+function contextLine(m: ChatMessage): string {
+  const items = (m.context || []).map((c) =>
+    c.url ? `[${c.title}](${c.url})` : c.title
+  );
+  const files = (m.attachments || []).map((a) => `${a.name} (${a.kind})`);
+  return [
+    items.length ? `Context: ${items.join(", ")}` : "",
+    files.length ? `Attachments: ${files.join(", ")}` : "",
+  ]
+    .filter(Boolean)
+    .join("\n> ");
+}
+
+function exportedOn() {
+  return new Date().toLocaleString();
+}
+
+export function threadToMarkdown(thread: ChatThread): string {
+  const out = [`# ${thread.title}`, `_Exported ${exportedOn()}_`];
+  for (const m of thread.messages) {
+    if (m.reasoning && !m.content && !m.automation) continue;
+    const heading = `**${roleLabel(m)}**${m.summarized ? " _(summarized)_" : ""}`;
+    const meta = responseLine(m);
+    out.push("---", meta ? `${heading} · ${meta}` : heading);
+    const context = contextLine(m);
+    if (context) out.push(`> ${context}`);
+    if (m.reasoning?.text) {
+      out.push(
+        `<details><summary>Thinking</summary>\n\n${m.reasoning.text}\n\n</details>`
+      );
+    }
+    if (m.summary) {
+      out.push(
+        `<details><summary>${m.summary.turns} earlier turns</summary>\n\n${m.content}\n\n</details>`
+      );
+    } else if (m.automation?.isAutomation || m.error || m.stopReason) {
+      out.push(
+        m.content
+          .split("\n")
+          .map((line) => `> ${line}`)
+          .join("\n")
+      );
+    } else if (m.content) {
+      out.push(m.content);
+    }
+  }
+  return out.join("\n\n") + "\n";
+}
+
+// Lossless: every field of every message, including attachments, tool
+// metadata and token usage
+export function threadToJson(thread: ChatThread): string {
+  return JSON.stringify(
+    {
+      format: JSON_FORMAT,
+      version: JSON_VERSION,
+      exportedAt: Date.now(),
+      thread,
+    },
+    null,
+    2
+  );
+}
+
+// Parse a JSON export (or a bare thread object). Throws with a user-facing
+// message when the file is not a thread.
+export function parseThreadJson(text: string): ChatThread {
+  let data: any;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Not a JSON file");
+  }
+  if (data?.format === JSON_FORMAT && data.version > JSON_VERSION) {
+    throw new Error("Exported by a newer version of the extension");
+  }
+  const thread = data?.format === JSON_FORMAT ? data.thread : data;
+  const valid =
+    Array.isArray(thread?.messages) &&
+    thread.messages.every(
+      (m: any) => typeof m?.role === "string" && typeof m?.content === "string"
+    );
+  if (!valid) throw new Error("No conversation found in this file");
+  return {
+    id: "",
+    title: typeof thread.title === "string" ? thread.title : "",
+    createdAt: Number(thread.createdAt) || Date.now(),
+    updatedAt: Number(thread.updatedAt) || Date.now(),
+    messages: thread.messages,
+    settings: thread.settings,
+  };
+}
+
+function escapeHtml(text: string) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Same Markdown pipeline as the chat view
+function markdownHtml(text: string) {
+  return renderToStaticMarkup(
+    createElement(ReactMarkdown, { remarkPlugins: [remarkGfm] }, text)
+  );
+}
+
+const HTML_STYLES = `
+body{font:15px/1.6 system-ui,sans-serif;max-width:760px;margin:2rem auto;padding:0 1rem;color:#1f2937;background:#fff}
+h1{font-size:1.4rem}.meta{color:#6b7280;font-size:.8rem}
+.msg{border:1px solid #e5e7eb;border-radius:8px;padding:.75rem 1rem;margin:.75rem 0}
+.user{background:#eff6ff;border-color:#bfdbfe}.assistant{background:#f9fafb}
+.tool,.notice{font-size:.85rem;color:#4b5563}.summarized{opacity:.55}
+.role{font-weight:600;font-size:.8rem;text-transform:uppercase;color:#6b7280}
+pre{background:#111827;color:#f9fafb;padding:.75rem;border-radius:6px;overflow-x:auto}
+code{font-size:.85em}table{border-collapse:collapse}td,th{border:1px solid #d1d5db;padding:.25rem .5rem}
+img{max-width:100%;border-radius:6px}details{margin:.5rem 0;color:#4b5563}
+@media(prefers-color-scheme:dark){body{background:#111827;color:#e5e7eb}.msg{border-color:#374151}.user{background:#1e3a5f}.assistant{background:#1f2937}}
+`;
+
+function messageHtml(m: ChatMessage): string {
+  const kind = m.automation?.isAutomation
+    ? "tool"
+    : m.error || m.stopReason
+    ? "notice"
+    : m.role === "user"
+    ? "user"
+    : "assistant";
+  const meta = responseLine(m);
+  const parts = [
+    `<div class="role">${roleLabel(m)}${
+      meta ? ` <span class="meta">· ${escapeHtml(meta)}</span>` : ""
+    }</div>`,
+  ];
+  const context = contextLine(m);
+  if (context) {
+    parts.push(
+      `<div class="meta">${markdownHtml(context.replace(/\n> /g, "\n\n"))}</div>`
+    );
+  }
+  // Imported threads can carry anything here, so only inline images are kept
+  for (const a of m.attachments || []) {
+    if (
+      a.kind === "image" &&
+      typeof a.data === "string" &&
+      a.data.startsWith("data:image/")
+    ) {
+      parts.push(
+        `<img src="${escapeHtml(a.data)}" alt="${escapeHtml(
+          String(a.name ?? "")
+        )}">`
+      );
+    }
+  }
+  if (m.reasoning?.text) {
+    parts.push(
+      `<details><summary>Thinking</summary><pre>${escapeHtml(
+        m.reasoning.text
+      )}</pre></details>`
+    );
+  }
+  parts.push(
+    m.summary
+      ? `<details><summary>${m.summary.turns} earlier turns</summary>${markdownHtml(
+          m.content
+        )}</details>`
+      : markdownHtml(m.content)
+  );
+  const classes = ["msg", kind, m.summarized ? "summarized" : ""];
+  return `<div class="${classes.join(" ").trim()}">${parts.join("")}</div>`;
+}
+
+// A single file with inline styles and images that opens anywhere
+export function threadToHtml(thread: ChatThread): string {
+  const body = thread.messages
+    .filter((m) => m.content || m.automation || m.reasoning?.text)
+    .map(messageHtml)
+    .join("\n");
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(thread.title)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(thread.title)}</h1>
+<div class="meta">Exported ${escapeHtml(exportedOn())}</div>
+${body}
+</body>
+</html>
+`;
+}
+
+export function exportThread(thread: ChatThread, format: ExportFormat) {
+  if (format === "json") return threadToJson(thread);
+  if (format === "html") return threadToHtml(thread);
+  return threadToMarkdown(thread);
+}
+
+function exportFilename(thread: ChatThread, format: ExportFormat) {
+  const slug =
+    thread.title
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "")
+      .slice(0, 60) || "conversation";
+  return `${slug}.${EXTENSIONS[format]}`;
+}
+
+// Save through chrome.downloads so the user picks where the file goes
+export async function downloadText(
+  filename: string,
+  text: string,
+  mimeType: string
+) {
+  const blob = new Blob([text], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  try {
+    await chrome.downloads.download({ url, filename, saveAs: true });
+  } finally {
+    // The download keeps its own reference once started
+    setTimeout(() => URL.revokeObjectURL(url), 60_000);
+  }
+}
+
+export async function downloadThread(thread: ChatThread, format: ExportFormat) {
+  await downloadText(
+    exportFilename(thread, format),
+    exportThread(thread, format),
+    MIME_TYPES[format]
+  );
+}
+
+export async function copyThread(thread: ChatThread, format: ExportFormat) {
+  await navigator.clipboard.writeText(exportThread(thread, format));
+}
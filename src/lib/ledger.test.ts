@@ -0,0 +1,136 @@
+import {
+  checkBudget,
+  formatUsd,
+  pruneLedger,
+  summarizeLedger,
+  type LedgerEntry,
+  type SpendSummary,
+} from "@/lib/ledger";
+
+// Local time, as the ledger buckets days in the user's timezone
+function at(month: number, day: number, hour = 12): number {
+  return new Date(2024, month - 1, day, hour).getTime();
+}
+
+function entry(ts: number, cost: number, extra: Partial<LedgerEntry> = {}) {
+  return {
+    ts,
+    threadId: "t1",
+    model: "openai/gpt-4o",
+    cost,
+    promptTokens: 100,
+    completionTokens: 50,
+    ...extra,
+  };
+}
+
+describe("summarizeLedger", () => {
+  const now = at(5, 15, 18);
+
+  it("rolls spending up by day, model and thread", () => {
+    const summary = summarizeLedger(
+      [
+        entry(at(5, 15, 9), 0.5),
+        entry(at(5, 15, 10), 0.25, { model: "anthropic/claude-3.5-sonnet" }),
+        entry(at(5, 14), 1, { threadId: "t2" }),
+      ],
+      now
+    );
+    expect(summary.byDay).toEqual({ "2024-05-15": 0.75, "2024-05-14": 1 });
+    expect(summary.byModel).toEqual({
+      "openai/gpt-4o": 1.5,
+      "anthropic/claude-3.5-sonnet": 0.25,
+    });
+    expect(summary.byThread).toEqual({ t1: 0.75, t2: 1 });
+  });
+
+  it("counts today and this month relative to now", () => {
+    const summary = summarizeLedger(
+      [
+        entry(at(5, 15, 1), 0.5),
+        entry(at(5, 1), 2),
+        entry(at(4, 30), 4),
+        entry(at(5, 15, 23) + 365 * 24 * 3600 * 1000, 8),
+      ],
+      now
+    );
+    expect(summary.today).toBe(0.5);
+    expect(summary.month).toBe(2.5);
+  });
+
+  it("leaves requests without a thread out of the thread rollup", () => {
+    const summary = summarizeLedger([entry(now, 1, { threadId: null })], now);
+    expect(summary.byThread).toEqual({});
+    expect(summary.today).toBe(1);
+  });
+});
+
+describe("pruneLedger", () => {
+  it("keeps this month and last month, however many entries there are", () => {
+    const now = at(5, 15);
+    const busyMonth = Array.from({ length: 6000 }, (_, i) =>
+      entry(at(5, 1) + i * 1000, 0.01)
+    );
+    const kept = pruneLedger(
+      [entry(at(3, 31), 1), entry(at(4, 1, 0), 2), ...busyMonth],
+      now
+    );
+    expect(kept).toHaveLength(6001);
+    expect(kept[0].cost).toBe(2);
+    expect(summarizeLedger(kept, now).month).toBeCloseTo(60);
+  });
+
+  it("crosses year boundaries", () => {
+    const now = new Date(2025, 0, 10).getTime();
+    const kept = pruneLedger([entry(at(11, 30), 1), entry(at(12, 1), 2)], now);
+    expect(kept.map((e) => e.cost)).toEqual([2]);
+  });
+});
+
+describe("checkBudget", () => {
+  const summary: SpendSummary = {
+    today: 0.8,
+    month: 9,
+    byDay: {},
+    byModel: {},
+    byThread: {},
+  };
+
+  it("passes when no cap is set", () => {
+    expect(checkBudget(summary, { mode: "block" }, 100)).toBeNull();
+  });
+
+  it("passes while the estimate fits under the caps", () => {
+    expect(
+      checkBudget(summary, { daily: 1, monthly: 10, mode: "warn" }, 0.2)
+    ).toBeNull();
+  });
+
+  it("reports the daily cap first", () => {
+    expect(
+      checkBudget(summary, { daily: 1, monthly: 10, mode: "warn" }, 2)
+    ).toEqual({ period: "daily", spent: 0.8, cap: 1 });
+  });
+
+  it("reports the monthly cap when the day still has room", () => {
+    expect(
+      checkBudget(summary, { daily: 5, monthly: 10, mode: "block" }, 1.5)
+    ).toEqual({ period: "monthly", spent: 9, cap: 10 });
+  });
+
+  it("treats a zero cap as a cap", () => {
+    expect(checkBudget(summary, { daily: 0, mode: "block" }, 0)).toEqual({
+      period: "daily",
+      spent: 0.8,
+      cap: 0,
+    });
+  });
+});
+
+describe("formatUsd", () => {
+  it("shows sub-cent amounts with more precision", () => {
+    expect(formatUsd(0)).toBe("$0.00");
+    expect(formatUsd(0.0042)).toBe("$0.0042");
+    expect(formatUsd(1.5)).toBe("$1.50");
+  });
+});
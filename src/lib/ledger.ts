@@ -0,0 +1,120 @@
+// Local spending ledger: one entry per model request, rolled up per thread,
+// per day and per model. Budgets are checked against the rollups.
+
+const LEDGER_KEY = "cost_ledger";
+
+export type LedgerEntry = {
+  ts: number;
+  threadId: string | null;
+  model: string;
+  cost: number;
+  promptTokens: number;
+  completionTokens: number;
+};
+
+export type SpendSummary = {
+  today: number;
+  month: number;
+  byDay: Record<string, number>;
+  byModel: Record<string, number>;
+  byThread: Record<string, number>;
+};
+
+export type SpendBudget = {
+  daily?: number;
+  monthly?: number;
+  mode: "warn" | "block";
+};
+
+export const DEFAULT_BUDGET: SpendBudget = { mode: "warn" };
+
+export function dayKey(ts: number): string {
+  const d = new Date(ts);
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+  const dd = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+export async function loadLedger(): Promise<LedgerEntry[]> {
+  try {
+    const stored = await chrome.storage.local.get([LEDGER_KEY]);
+    const entries = stored?.[LEDGER_KEY];
+    return Array.isArray(entries) ? entries : [];
+  } catch {
+    return [];
+  }
+}
+
+// Entries before the start of last month. The monthly cap only needs this
+// month, so nothing it counts is ever dropped; last month stays for the
+// recent-days view early in a month.
+export function pruneLedger(
+  entries: LedgerEntry[],
+  now: number = Date.now()
+): LedgerEntry[] {
+  const d = new Date(now);
+  const cutoff = new Date(d.getFullYear(), d.getMonth() - 1, 1).getTime();
+  return entries.filter((e) => e.ts >= cutoff);
+}
+
+// Writes are read-modify-write, so they run one at a time; otherwise
+// requests finishing together (compare mode) would overwrite each other
+let writes: Promise<void> = Promise.resolve();
+
+export function recordSpend(entry: LedgerEntry): Promise<void> {
+  const write = writes.then(async () => {
+    const entries = await loadLedger();
+    entries.push(entry);
+    await chrome.storage.local.set({ [LEDGER_KEY]: pruneLedger(entries) });
+  });
+  // A failed write must not block the ones queued after it
+  writes = write.catch(() => {});
+  return write;
+}
+
+export function summarizeLedger(
+  entries: LedgerEntry[],
+  now: number = Date.now()
+): SpendSummary {
+  const today = dayKey(now);
+  const month = today.slice(0, 7);
+  const summary: SpendSummary = {
+    today: 0,
+    month: 0,
+    byDay: {},
+    byModel: {},
+    byThread: {},
+  };
+  for (const e of entries) {
+    const day = dayKey(e.ts);
+    summary.byDay[day] = (summary.byDay[day] || 0) + e.cost;
+    summary.byModel[e.model] = (summary.byModel[e.model] || 0) + e.cost;
+    if (e.threadId) {
+      summary.byThread[e.threadId] =
+        (summary.byThread[e.threadId] || 0) + e.cost;
+    }
+    if (day === today) summary.today += e.cost;
+    if (day.startsWith(month)) summary.month += e.cost;
+  }
+  return summary;
+}
+
+// Would spending `estimate` more exceed a cap? Returns the first cap hit.
+export function checkBudget(
+  summary: SpendSummary,
+  budget: SpendBudget,
+  estimate: number
+): { period: "daily" | "monthly"; spent: number; cap: number } | null {
+  if (budget.daily != null && summary.today + estimate > budget.daily) {
+    return { period: "daily", spent: summary.today, cap: budget.daily };
+  }
+  if (budget.monthly != null && summary.month + estimate > budget.monthly) {
+    return { period: "monthly", spent: summary.month, cap: budget.monthly };
+  }
+  return null;
+}
+
+export function formatUsd(value: number): string {
+  if (value === 0) return "$0.00";
+  return value < 0.01 ? `$${value.toFixed(4)}` : `$${value.toFixed(2)}`;
+}
@@ -0,0 +1,156 @@
+// Model catalogue helpers for the picker: filtering on the metadata returned
+// by `/models`, plus favorites and recents stored next to `preferred_model`
+
+const FAVORITES_KEY = "favorite_models";
+const RECENTS_KEY = "recent_models";
+const MAX_RECENTS = 8;
+
+export type InputModality = "image" | "audio" | "file";
+
+export type ModelFilters = {
+  query: string;
+  minContext?: number;
+  // USD per million tokens
+  maxPromptPrice?: number;
+  maxCompletionPrice?: number;
+  modalities: InputModality[];
+  tools: boolean;
+  structuredOutputs: boolean;
+};
+
+export const EMPTY_FILTERS: ModelFilters = {
+  query: "",
+  modalities: [],
+  tools: false,
+  structuredOutputs: false,
+};
+
+export type ModelPrefs = {
+  favorites: string[];
+  recents: string[];
+};
+
+// Pricing comes back as per-token USD strings; the UI works per million
+export function pricePerMillion(value: any): number | null {
+  const n = parseFloat(value);
+  return Number.isFinite(n) && n >= 0 ? n * 1_000_000 : null;
+}
+
+export function inputModalities(model: any): string[] {
+  const list = model?.architecture?.input_modalities;
+  if (Array.isArray(list)) return list;
+  // Older entries only carry a "text+image->text" style string
+  const modality = model?.architecture?.modality;
+  if (typeof modality === "string") {
+    return modality.split("->")[0].split("+");
+  }
+  return ["text"];
+}
+
+// Required modalities the model does not accept
+export function missingModalities(
+  model: any,
+  required: InputModality[] = []
+): InputModality[] {
+  const inputs = inputModalities(model);
+  return required.filter((m) => !inputs.includes(m));
+}
+
+export function supportsParameter(model: any, name: string): boolean {
+  const params = model?.supported_parameters;
+  return Array.isArray(params) && params.includes(name);
+}
+
+export function supportsStructuredOutputs(model: any): boolean {
+  return (
+    supportsParameter(model, "structured_outputs") ||
+    supportsParameter(model, "response_format")
+  );
+}
+
+export function filterModels(models: any[], filters: ModelFilters): any[] {
+  const terms = filters.query.toLowerCase().split(/\s+/).filter(Boolean);
+  return models.filter((m) => {
+    if (terms.length) {
+      const hay = `${m?.id || ""} ${m?.name || ""}`.toLowerCase();
+      if (!terms.every((t) => hay.includes(t))) return false;
+    }
+    if (filters.minContext && (m?.context_length || 0) < filters.minContext) {
+      return false;
+    }
+    if (filters.maxPromptPrice != null) {
+      const price = pricePerMillion(m?.pricing?.prompt);
+      if (price == null || price > filters.maxPromptPrice) return false;
+    }
+    if (filters.maxCompletionPrice != null) {
+      const price = pricePerMillion(m?.pricing?.completion);
+      if (price == null || price > filters.maxCompletionPrice) return false;
+    }
+    if (filters.modalities.length) {
+      const inputs = inputModalities(m);
+      if (!filters.modalities.every((x) => inputs.includes(x))) return false;
+    }
+    if (filters.tools && !supportsParameter(m, "tools")) return false;
+    if (filters.structuredOutputs && !supportsStructuredOutputs(m)) {
+      return false;
+    }
+    return true;
+  });
+}
+
+function stringList(value: any): string[] {
+  return Array.isArray(value) ? value.filter((v) => typeof v === "string") : [];
+}
+
+export async function loadModelPrefs(): Promise<ModelPrefs> {
+  try {
+    const stored = await chrome.storage.local.get([FAVORITES_KEY, RECENTS_KEY]);
+    return {
+      favorites: stringList(stored?.[FAVORITES_KEY]),
+      recents: stringList(stored?.[RECENTS_KEY]),
+    };
+  } catch {
+    return { favorites: [], recents: [] };
+  }
+}
+
+export async function saveModelPrefs(prefs: ModelPrefs) {
+  await chrome.storage.local.set({
+    [FAVORITES_KEY]: prefs.favorites,
+    [RECENTS_KEY]: prefs.recents,
+  });
+}
+
+export function toggleFavorite(prefs: ModelPrefs, id: string): ModelPrefs {
+  const favorites = prefs.favorites.includes(id)
+    ? prefs.favorites.filter((f) => f !== id)
+    : [...prefs.favorites, id];
+  return { ...prefs, favorites };
+}
+
+export function pushRecent(prefs: ModelPrefs, id: string): ModelPrefs {
+  if (!id || id === "auto") return prefs;
+  const recents = [id, ...prefs.recents.filter((r) => r !== id)].slice(
+    0,
+    MAX_RECENTS
+  );
+  return { ...prefs, recents };
+}
+
+// Auto could not find a model that handles the request (tools, images or its
+// length); the user picks one instead of it being sent somewhere unsuitable
+export class NoModelError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "NoModelError";
+  }
+}
+
+// True when any message carries an image part (OpenAI-style content array)
+export function hasImageInput(messages: { content?: any }[]): boolean {
+  return messages.some(
+    (m) =>
+      Array.isArray(m.content) &&
+      m.content.some((part: any) => part?.type === "image_url")
+  );
+}
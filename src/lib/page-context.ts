@@ -0,0 +1,87 @@
+// Explicit page context for prompts: the active tab, @-mentioned tabs and the
+// current selection, injected into the user turn as delimited blocks
+
+import { estimateTokens } from "@/lib/context";
+import type { AttachedContext, ContextKind } from "@/lib/types";
+
+export type { AttachedContext, ContextKind };
+
+// Per-source cap so one long page cannot crowd out the conversation
+const MAX_CONTEXT_CHARS = 16000;
+
+// A context chip in the composer
+export type ContextSource = {
+  id: string;
+  kind: ContextKind;
+  tabId: number;
+  title: string;
+  url?: string;
+  enabled: boolean;
+  loading?: boolean;
+  error?: string;
+  tokens?: number;
+  // Selection text, captured when the chip is created
+  text?: string;
+};
+
+export function isContextUrl(url?: string): boolean {
+  return !!url && /^https?:\/\//.test(url);
+}
+
+export function clipContext(text: string, maxChars = MAX_CONTEXT_CHARS) {
+  const clean = text.replace(/\n{3,}/g, "\n\n").trim();
+  return clean.length > maxChars
+    ? clean.slice(0, maxChars) +
+        `\n[truncated ${clean.length - maxChars} characters]`
+    : clean;
+}
+
+// Page text through the background's get_page_content, which applies the
+// same domain policy and redaction as the automation tools
+export async function fetchTabContext(tabId: number): Promise<AttachedContext> {
+  const res = await chrome.runtime.sendMessage({
+    action: "get_page_content",
+    tabId,
+    includeForms: false,
+  });
+  if (!res?.success) throw new Error(res?.error || "Page content unavailable");
+  const text = clipContext(res.data?.text || "");
+  return {
+    kind: "tab",
+    title: res.data?.title || "Untitled",
+    url: res.data?.url,
+    text,
+    tokens: estimateTokens(text),
+  };
+}
+
+export async function fetchSelection(tabId: number): Promise<string> {
+  try {
+    const res = await chrome.tabs.sendMessage(tabId, {
+      action: "get_selection",
+    });
+    return typeof res?.text === "string" ? res.text.trim() : "";
+  } catch {
+    // No content script on this page
+    return "";
+  }
+}
+
+export async function listOpenTabs(): Promise<chrome.tabs.Tab[]> {
+  try {
+    const tabs = await chrome.tabs.query({});
+    return tabs.filter((t) => t.id != null && isContextUrl(t.url));
+  } catch {
+    return [];
+  }
+}
+
+// The `@query` being typed at the end of the input, if any
+export function mentionQuery(input: string): string | null {
+  const match = /(?:^|\s)@([^\s@]*)$/.exec(input);
+  return match ? match[1] : null;
+}
+
+export function stripMention(input: string): string {
+  return input.replace(/(?:^|\s)@[^\s@]*$/, "").trimEnd();
+}
@@ -0,0 +1,32 @@
+import { reasoningParams, validateParams } from "@/lib/params";
+
+describe("reasoningParams", () => {
+  it("requests reasoning unless it is excluded", () => {
+    expect(reasoningParams("show")).toEqual({ reasoningInclude: true });
+    expect(reasoningParams("hide")).toEqual({ reasoningInclude: true });
+    expect(reasoningParams("exclude")).toEqual({ reasoningExclude: true });
+  });
+});
+
+describe("validateParams", () => {
+  const reasoningModel = { id: "r", supported_parameters: ["reasoning"] };
+  const plainModel = { id: "p", supported_parameters: ["temperature"] };
+
+  it("keeps reasoning requests for models that accept them", () => {
+    expect(
+      validateParams(reasoningParams("show"), reasoningModel).params
+    ).toEqual({ reasoningInclude: true });
+  });
+
+  it("drops reasoning requests for models without reasoning", () => {
+    expect(validateParams(reasoningParams("hide"), plainModel).params).toEqual(
+      {}
+    );
+  });
+
+  it("clamps numeric values and notes the change", () => {
+    const { params, notes } = validateParams({ temperature: 5 }, plainModel);
+    expect(params).toEqual({ temperature: 2 });
+    expect(notes).toEqual(["Temperature adjusted to 2"]);
+  });
+});
@@ -0,0 +1,146 @@
+// Per-thread generation parameters, validated against the `supported_parameters`
+// a model advertises in `/models`
+
+import type { GenerationParams } from "@/utils/openrouter-client.js";
+import type { ReasoningMode } from "@/lib/types";
+
+export type { GenerationParams };
+
+export type ParamKey = keyof GenerationParams;
+
+type NumericSpec = {
+  key: Exclude<
+    ParamKey,
+    "stop" | "reasoningEffort" | "reasoningInclude" | "reasoningExclude"
+  >;
+  apiName: string;
+  label: string;
+  min: number;
+  max: number;
+  step: number;
+  integer?: boolean;
+};
+
+export const NUMERIC_PARAMS: NumericSpec[] = [
+  {
+    key: "temperature",
+    apiName: "temperature",
+    label: "Temperature",
+    min: 0,
+    max: 2,
+    step: 0.1,
+  },
+  { key: "topP", apiName: "top_p", label: "Top P", min: 0, max: 1, step: 0.05 },
+  {
+    key: "maxTokens",
+    apiName: "max_tokens",
+    label: "Max tokens",
+    min: 1,
+    max: 1_000_000,
+    step: 1,
+    integer: true,
+  },
+  {
+    key: "frequencyPenalty",
+    apiName: "frequency_penalty",
+    label: "Frequency penalty",
+    min: -2,
+    max: 2,
+    step: 0.1,
+  },
+  {
+    key: "presencePenalty",
+    apiName: "presence_penalty",
+    label: "Presence penalty",
+    min: -2,
+    max: 2,
+    step: 0.1,
+  },
+  {
+    key: "seed",
+    apiName: "seed",
+    label: "Seed",
+    min: 0,
+    max: Number.MAX_SAFE_INTEGER,
+    step: 1,
+    integer: true,
+  },
+];
+
+const API_NAMES: Record<ParamKey, string> = {
+  ...(Object.fromEntries(
+    NUMERIC_PARAMS.map((p) => [p.key, p.apiName])
+  ) as Record<NumericSpec["key"], string>),
+  stop: "stop",
+  reasoningEffort: "reasoning",
+  reasoningInclude: "reasoning",
+  reasoningExclude: "reasoning",
+};
+
+// Which parameters the model accepts. Without metadata (Auto Select, or models
+// not loaded yet) everything is allowed and OpenRouter decides.
+export function isParamSupported(model: any, key: ParamKey): boolean {
+  const supported = model?.supported_parameters;
+  if (!Array.isArray(supported)) return true;
+  return supported.includes(API_NAMES[key]);
+}
+
+// Largest completion the model can produce, when it is known
+export function maxCompletionTokens(model: any): number | undefined {
+  const limit =
+    model?.top_provider?.max_completion_tokens || model?.context_length;
+  return typeof limit === "number" && limit > 0 ? limit : undefined;
+}
+
+// Drop unsupported or out-of-range values before a request. Returns the
+// cleaned params and a note per value that was dropped or adjusted.
+export function validateParams(
+  params: GenerationParams,
+  model: any
+): { params: GenerationParams; notes: string[] } {
+  const out: GenerationParams = {};
+  const notes: string[] = [];
+  for (const spec of NUMERIC_PARAMS) {
+    const value = params[spec.key];
+    if (typeof value !== "number" || !Number.isFinite(value)) continue;
+    if (!isParamSupported(model, spec.key)) {
+      notes.push(`${spec.label} is not supported by ${model?.id}`);
+      continue;
+    }
+    let max = spec.max;
+    if (spec.key === "maxTokens") max = maxCompletionTokens(model) ?? max;
+    let clean = Math.min(max, Math.max(spec.min, value));
+    if (spec.integer) clean = Math.round(clean);
+    if (clean !== value) notes.push(`${spec.label} adjusted to ${clean}`);
+    out[spec.key] = clean;
+  }
+  const stop = (params.stop || []).filter(Boolean);
+  if (stop.length) {
+    if (isParamSupported(model, "stop")) out.stop = stop.slice(0, 4);
+    else notes.push(`Stop sequences are not supported by ${model?.id}`);
+  }
+  if (params.reasoningEffort) {
+    if (isParamSupported(model, "reasoningEffort")) {
+      out.reasoningEffort = params.reasoningEffort;
+    } else {
+      notes.push(`Reasoning effort is not supported by ${model?.id}`);
+    }
+  }
+  if (params.reasoningInclude && isParamSupported(model, "reasoningInclude")) {
+    out.reasoningInclude = true;
+  }
+  if (params.reasoningExclude && isParamSupported(model, "reasoningExclude")) {
+    out.reasoningExclude = true;
+  }
+  return { params: out, notes };
+}
+
+// The reasoning setting as request params: "show" and "hide" both ask for
+// reasoning (hiding is done by the panel), "exclude" asks for none
+export function reasoningParams(
+  mode: ReasoningMode
+): Pick<GenerationParams, "reasoningInclude" | "reasoningExclude"> {
+  return mode === "exclude"
+    ? { reasoningExclude: true }
+    : { reasoningInclude: true };
+}
@@ -0,0 +1,100 @@
+// Personas: named system prompts with template variables. The default persona
+// applies to every conversation unless the thread overrides it.
+
+const PERSONAS_KEY = "personas";
+const DEFAULT_KEY = "default_persona_id";
+
+export type Persona = {
+  id: string;
+  name: string;
+  prompt: string;
+};
+
+export type PersonaVariables = {
+  date: string;
+  time: string;
+  tab_title: string;
+  tab_url: string;
+  tools: string;
+  model: string;
+};
+
+export const PERSONA_VARIABLES: (keyof PersonaVariables)[] = [
+  "date",
+  "time",
+  "tab_title",
+  "tab_url",
+  "tools",
+  "model",
+];
+
+export const DEFAULT_PERSONAS: Persona[] = [
+  {
+    id: "browser-assistant",
+    name: "Browser assistant",
+    prompt:
+      "You are an assistant running in a Chrome side panel next to the user's current tab.\n" +
+      'Today is {{date}}, {{time}}. The active tab is "{{tab_title}}" ({{tab_url}}).\n' +
+      "Available tools: {{tools}}. Use them when the task needs the page or the browser; otherwise answer directly.\n" +
+      "Be concise and use Markdown where it helps.",
+  },
+  {
+    id: "concise",
+    name: "Concise",
+    prompt:
+      "Answer as briefly as possible. Prefer bullet points. Today is {{date}}.",
+  },
+];
+
+export type PersonaStore = {
+  personas: Persona[];
+  defaultId: string;
+};
+
+export function newPersonaId(): string {
+  return `p-${Date.now().toString(36)}${Math.random()
+    .toString(36)
+    .slice(2, 6)}`;
+}
+
+export async function loadPersonas(): Promise<PersonaStore> {
+  try {
+    const stored = await chrome.storage.local.get([PERSONAS_KEY, DEFAULT_KEY]);
+    const list = stored?.[PERSONAS_KEY];
+    const personas: Persona[] = Array.isArray(list)
+      ? list.filter((p) => p && typeof p.id === "string")
+      : DEFAULT_PERSONAS;
+    const defaultId =
+      typeof stored?.[DEFAULT_KEY] === "string" ? stored[DEFAULT_KEY] : "";
+    return { personas, defaultId: defaultId || personas[0]?.id || "" };
+  } catch {
+    return { personas: DEFAULT_PERSONAS, defaultId: DEFAULT_PERSONAS[0].id };
+  }
+}
+
+export async function savePersonas(store: PersonaStore) {
+  await chrome.storage.local.set({
+    [PERSONAS_KEY]: store.personas,
+    [DEFAULT_KEY]: store.defaultId,
+  });
+}
+
+// The thread override wins; "none" disables the system prompt for a thread
+export function resolvePersona(
+  store: PersonaStore,
+  threadPersonaId?: string
+): Persona | null {
+  if (threadPersonaId === "none") return null;
+  const id = threadPersonaId || store.defaultId;
+  return store.personas.find((p) => p.id === id) || null;
+}
+
+// Replace {{name}} placeholders; unknown names are left as written
+export function renderPersonaPrompt(
+  template: string,
+  vars: PersonaVariables
+): string {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    name in vars ? String(vars[name as keyof PersonaVariables]) : match
+  );
+}
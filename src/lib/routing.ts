@@ -0,0 +1,34 @@
+// Model fallback and provider routing preferences, stored as
+// `routing_preferences` in chrome.storage.local
+
+import type { RoutingPreferences } from "@/utils/openrouter-client.js";
+
+export type { RoutingPreferences };
+
+export const DEFAULT_ROUTING: RoutingPreferences = {
+  fallbackModels: [],
+  provider: { allowFallbacks: true },
+  auto: { mode: "openrouter", preference: "balanced" },
+};
+
+export function parseList(text: string): string[] {
+  return text
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+export function formatList(items?: string[]): string {
+  return (items || []).join(", ");
+}
+
+export function normalizeRouting(value: any): RoutingPreferences {
+  if (!value || typeof value !== "object") return DEFAULT_ROUTING;
+  return {
+    fallbackModels: Array.isArray(value.fallbackModels)
+      ? value.fallbackModels
+      : [],
+    provider: { ...DEFAULT_ROUTING.provider, ...(value.provider || {}) },
+    auto: { ...DEFAULT_ROUTING.auto!, ...(value.auto || {}) },
+  };
+}
@@ -0,0 +1,126 @@
+import {
+  SCHEMA_PRESETS,
+  checkReply,
+  extractJson,
+  responseFormatFor,
+  toCsv,
+  validateSchema,
+} from "@/lib/structured";
+
+const product = SCHEMA_PRESETS.find((p) => p.id === "product")!.record;
+
+describe("validateSchema", () => {
+  const valid = {
+    name: "Kettle",
+    brand: null,
+    price: 25,
+    currency: "EUR",
+    availability: "in stock",
+    rating: 4.5,
+    url: null,
+  };
+
+  it("accepts a matching record", () => {
+    expect(validateSchema(valid, product)).toEqual([]);
+  });
+
+  it("reports missing, extra and mistyped fields by path", () => {
+    const rest: Record<string, any> = { ...valid, price: "25", color: "red" };
+    delete rest.url;
+    expect(validateSchema(rest, product)).toEqual([
+      "$.url: missing",
+      "$.price: expected number or null, got string",
+      "$.color: not allowed",
+    ]);
+  });
+
+  it("checks array items and enums", () => {
+    const schema = {
+      type: "array",
+      items: { type: "string", enum: ["a", "b"] },
+    };
+    expect(validateSchema(["a", "c", 1], schema)).toEqual([
+      '$[1]: must be one of ["a","b"]',
+      "$[2]: expected string, got integer",
+    ]);
+  });
+
+  it("lets integers satisfy number but not the reverse", () => {
+    expect(validateSchema(3, { type: "number" })).toEqual([]);
+    expect(validateSchema(3.5, { type: "integer" })).toEqual([
+      "$: expected integer, got number",
+    ]);
+  });
+});
+
+describe("extractJson", () => {
+  it("reads bare JSON", () => {
+    expect(extractJson('{"items": []}')).toEqual({ items: [] });
+  });
+
+  it("reads JSON inside a code fence", () => {
+    expect(extractJson("Here you go:\n```json\n[1, 2]\n```\nDone.")).toEqual([
+      1, 2,
+    ]);
+  });
+
+  it("reads JSON surrounded by prose", () => {
+    expect(extractJson('The result is {"a": {"b": 1}} as requested.')).toEqual({
+      a: { b: 1 },
+    });
+  });
+
+  it("throws when there is no JSON", () => {
+    expect(() => extractJson("Sorry, I cannot help.")).toThrow(
+      "No JSON found in the reply"
+    );
+  });
+});
+
+describe("checkReply", () => {
+  const format = responseFormatFor("Custom", {
+    type: "object",
+    properties: { name: { type: "string" } },
+    required: ["name"],
+  });
+
+  it("wraps a bare record in items before validating", () => {
+    expect(checkReply('{"name": "x"}', format)).toEqual({
+      data: { items: [{ name: "x" }] },
+      errors: [],
+    });
+  });
+
+  it("returns no data when the reply has no JSON", () => {
+    expect(checkReply("nothing here", format).data).toBeNull();
+  });
+});
+
+describe("responseFormatFor", () => {
+  it("is strict only when asked", () => {
+    expect(responseFormatFor("Product", product, true).strict).toBe(true);
+    expect(responseFormatFor("My schema!", {}).strict).toBe(false);
+    expect(responseFormatFor("My schema!", {}).name).toBe("my_schema_");
+  });
+});
+
+describe("toCsv", () => {
+  it("uses every key as a column, in first-seen order", () => {
+    expect(
+      toCsv([
+        { a: 1, b: 2 },
+        { c: 3, a: 4 },
+      ])
+    ).toBe("a,b,c\n1,2,\n4,,3");
+  });
+
+  it("quotes cells with commas, quotes and line breaks", () => {
+    expect(toCsv([{ text: 'say "hi", then\nleave' }])).toBe(
+      'text\n"say ""hi"", then\nleave"'
+    );
+  });
+
+  it("writes nested values as JSON and nulls as empty", () => {
+    expect(toCsv([{ tags: ["x"], note: null }])).toBe('tags,note\n"[""x""]",');
+  });
+});
@@ -0,0 +1,286 @@
+// Structured output: JSON schema presets, validation and a repair prompt for
+// models without native `response_format` support, plus CSV export
+
+import type {
+  ChatRequestMessage,
+  ResponseFormat,
+} from "@/utils/openrouter-client.js";
+
+const CUSTOM_SCHEMA_KEY = "structured_custom_schema";
+
+export type SchemaPreset = {
+  id: string;
+  name: string;
+  // Schema of one record; responses hold a list of these
+  record: Record<string, any>;
+};
+
+const str = { type: "string" };
+const nullableStr = { type: ["string", "null"] };
+const nullableNum = { type: ["number", "null"] };
+
+// Strict mode needs every property listed as required, so optional values
+// are nullable instead
+function record(properties: Record<string, any>) {
+  return {
+    type: "object",
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false,
+  };
+}
+
+export const SCHEMA_PRESETS: SchemaPreset[] = [
+  {
+    id: "product",
+    name: "Product",
+    record: record({
+      name: str,
+      brand: nullableStr,
+      price: nullableNum,
+      currency: nullableStr,
+      availability: nullableStr,
+      rating: nullableNum,
+      url: nullableStr,
+    }),
+  },
+  {
+    id: "contact",
+    name: "Contact",
+    record: record({
+      name: str,
+      title: nullableStr,
+      organization: nullableStr,
+      email: nullableStr,
+      phone: nullableStr,
+      address: nullableStr,
+      url: nullableStr,
+    }),
+  },
+  {
+    id: "event",
+    name: "Event",
+    record: record({
+      title: str,
+      start: { type: ["string", "null"], description: "ISO 8601 date-time" },
+      end: { type: ["string", "null"], description: "ISO 8601 date-time" },
+      location: nullableStr,
+      organizer: nullableStr,
+      description: nullableStr,
+      url: nullableStr,
+    }),
+  },
+];
+
+export const DEFAULT_CUSTOM_SCHEMA = JSON.stringify(
+  record({ name: str, value: nullableStr }),
+  null,
+  2
+);
+
+export async function loadCustomSchema(): Promise<string> {
+  try {
+    const stored = await chrome.storage.local.get([CUSTOM_SCHEMA_KEY]);
+    const text = stored?.[CUSTOM_SCHEMA_KEY];
+    return typeof text === "string" && text.trim()
+      ? text
+      : DEFAULT_CUSTOM_SCHEMA;
+  } catch {
+    return DEFAULT_CUSTOM_SCHEMA;
+  }
+}
+
+export async function saveCustomSchema(text: string) {
+  await chrome.storage.local.set({ [CUSTOM_SCHEMA_KEY]: text });
+}
+
+// The record schema for a preset id, or the parsed custom schema. Throws with
+// a user-facing message when the custom schema is not valid JSON.
+export function recordSchema(presetId: string, customText: string) {
+  const preset = SCHEMA_PRESETS.find((p) => p.id === presetId);
+  if (preset) return preset.record;
+  let schema: any;
+  try {
+    schema = JSON.parse(customText);
+  } catch {
+    throw new Error("The custom schema is not valid JSON");
+  }
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+    throw new Error("The custom schema must be a JSON object");
+  }
+  return schema;
+}
+
+// Responses are always `{items: [...]}` so a page with many products or
+// events fits the same shape as a single record. Only the presets are known
+// to meet strict mode's rules, so custom schemas are sent non-strict.
+export function responseFormatFor(
+  name: string,
+  record: Record<string, any>,
+  strict = false
+): ResponseFormat {
+  return {
+    name: name.toLowerCase().replace(/[^a-z0-9_-]+/g, "_") || "records",
+    strict,
+    schema: {
+      type: "object",
+      properties: { items: { type: "array", items: record } },
+      required: ["items"],
+      additionalProperties: false,
+    },
+  };
+}
+
+function typeOf(value: any): string {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "integer" : "number";
+  }
+  return typeof value;
+}
+
+// A small JSON Schema check covering what the presets and typical custom
+// schemas use: type, required, properties, additionalProperties, items and
+// enum. Returns one message per problem.
+export function validateSchema(value: any, schema: any, path = "$"): string[] {
+  if (!schema || typeof schema !== "object") return [];
+  const errors: string[] = [];
+  if (schema.type) {
+    const allowed: string[] = Array.isArray(schema.type)
+      ? schema.type
+      : [schema.type];
+    const actual = typeOf(value);
+    const ok =
+      allowed.includes(actual) ||
+      (actual === "integer" && allowed.includes("number"));
+    if (!ok)
+      return [`${path}: expected ${allowed.join(" or ")}, got ${actual}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if (typeOf(value) === "object") {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: missing`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (key in props) {
+        errors.push(...validateSchema(child, props[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: not allowed`);
+      }
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) =>
+      errors.push(...validateSchema(item, schema.items, `${path}[${i}]`))
+    );
+  }
+  return errors;
+}
+
+// The JSON value in a model reply, tolerating code fences and prose around it
+export function extractJson(text: string): any {
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/.exec(text);
+  const candidate = (fenced ? fenced[1] : text).trim();
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    const start = candidate.search(/[[{]/);
+    const end = Math.max(
+      candidate.lastIndexOf("}"),
+      candidate.lastIndexOf("]")
+    );
+    if (start < 0 || end <= start)
+      throw new Error("No JSON found in the reply");
+    return JSON.parse(candidate.slice(start, end + 1));
+  }
+}
+
+// Accept a bare array or a single record from models that ignored the
+// `{items}` wrapper
+export function normalizeItems(value: any): any {
+  if (Array.isArray(value)) return { items: value };
+  if (value && typeof value === "object" && !("items" in value)) {
+    return { items: [value] };
+  }
+  return value;
+}
+
+// Parse and validate a reply against the response schema; `data` is null when
+// no JSON could be read at all
+export function checkReply(
+  reply: string,
+  format: ResponseFormat
+): { data: any; errors: string[] } {
+  let data: any;
+  try {
+    data = normalizeItems(extractJson(reply));
+  } catch (error: any) {
+    return { data: null, errors: [error?.message || "Invalid JSON"] };
+  }
+  return { data, errors: validateSchema(data, format.schema) };
+}
+
+// Instructions for models that cannot enforce the schema themselves
+export function schemaInstructions(format: ResponseFormat): string {
+  return [
+    "Reply with JSON only: no prose and no code fences.",
+    "The JSON must match this JSON Schema exactly:",
+    JSON.stringify(format.schema),
+    "Use null for values the source does not state.",
+  ].join("\n");
+}
+
+// One repair pass: the invalid reply and what is wrong with it
+export function repairMessages(
+  format: ResponseFormat,
+  reply: string,
+  errors: string[]
+): ChatRequestMessage[] {
+  return [
+    { role: "system", content: schemaInstructions(format) },
+    {
+      role: "user",
+      content: [
+        "Fix this JSON so it matches the schema. Keep the data; change only what is needed.",
+        "Problems:",
+        ...errors.slice(0, 20).map((e) => `- ${e}`),
+        "JSON:",
+        reply,
+      ].join("\n"),
+    },
+  ];
+}
+
+function csvCell(value: any): string {
+  const text =
+    value == null
+      ? ""
+      : typeof value === "object"
+      ? JSON.stringify(value)
+      : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Column names across all records, in first-seen order
+export function recordColumns(items: any[]): string[] {
+  const columns: string[] = [];
+  for (const item of items) {
+    if (!item || typeof item !== "object") continue;
+    for (const key of Object.keys(item)) {
+      if (!columns.includes(key)) columns.push(key);
+    }
+  }
+  return columns;
+}
+
+export function toCsv(items: any[]): string {
+  const columns = recordColumns(items);
+  const rows = items.map((item) =>
+    columns.map((c) => csvCell(item?.[c])).join(",")
+  );
+  return [columns.map(csvCell).join(","), ...rows].join("\n");
+}
@@ -0,0 +1,141 @@
+// Prompt templates: reusable prompts with page variables, inserted from the
+// composer or the page context menu (the background reads the same key).
+
+const TEMPLATES_KEY = "prompt_templates";
+
+// Marks shared template files so imports can be recognised
+const FILE_FORMAT = "openrouter-panel-templates";
+const FILE_VERSION = 1;
+
+export type PromptTemplate = {
+  id: string;
+  name: string;
+  body: string;
+};
+
+export type TemplateVariable =
+  | "selection"
+  | "page.title"
+  | "page.url"
+  | "page.text"
+  | "clipboard";
+
+export const TEMPLATE_VARIABLES: {
+  name: TemplateVariable;
+  description: string;
+}[] = [
+  { name: "selection", description: "Selected text on the page" },
+  { name: "page.title", description: "Title of the tab" },
+  { name: "page.url", description: "URL of the tab" },
+  { name: "page.text", description: "Readable text of the tab" },
+  { name: "clipboard", description: "Clipboard text" },
+];
+
+export type TemplateValues = Partial<Record<TemplateVariable, string>>;
+
+// Starting library. The first two also back the "Ask AI" context menu items
+// and keyboard shortcuts, which fall back to these when the user deleted them.
+export const DEFAULT_TEMPLATES: PromptTemplate[] = [
+  {
+    id: "explain-selection",
+    name: "Explain selection",
+    body: "Explain the following selection, provide key takeaways, and answer questions.\n\n{{selection}}",
+  },
+  {
+    id: "summarize-page",
+    name: "Summarize page",
+    body: "Summarize this page and answer likely questions.\n\n{{page.title}} ({{page.url}})",
+  },
+  {
+    id: "reply-draft",
+    name: "Draft a reply",
+    body: "Draft a short, friendly reply to the following message:\n\n{{clipboard}}",
+  },
+];
+
+export function newTemplateId(): string {
+  return `t-${Date.now().toString(36)}${Math.random()
+    .toString(36)
+    .slice(2, 6)}`;
+}
+
+function isTemplate(t: any): t is PromptTemplate {
+  return (
+    t &&
+    typeof t.id === "string" &&
+    typeof t.name === "string" &&
+    typeof t.body === "string"
+  );
+}
+
+// The defaults are written on first use so the context menu lists them too
+export async function loadTemplates(): Promise<PromptTemplate[]> {
+  try {
+    const stored = await chrome.storage.local.get([TEMPLATES_KEY]);
+    const list = stored?.[TEMPLATES_KEY];
+    if (Array.isArray(list)) return list.filter(isTemplate);
+    await saveTemplates(DEFAULT_TEMPLATES);
+    return DEFAULT_TEMPLATES;
+  } catch {
+    return DEFAULT_TEMPLATES;
+  }
+}
+
+export async function saveTemplates(templates: PromptTemplate[]) {
+  await chrome.storage.local.set({ [TEMPLATES_KEY]: templates });
+}
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+// Variables a template refers to, so only those are looked up
+export function usedVariables(body: string): TemplateVariable[] {
+  const known = new Set(TEMPLATE_VARIABLES.map((v) => v.name as string));
+  const found = new Set<TemplateVariable>();
+  for (const match of body.matchAll(VARIABLE_PATTERN)) {
+    if (known.has(match[1])) found.add(match[1] as TemplateVariable);
+  }
+  return [...found];
+}
+
+// Replace {{name}} placeholders; unknown names are left as written
+export function renderTemplate(body: string, values: TemplateValues): string {
+  return body
+    .replace(VARIABLE_PATTERN, (match, name) =>
+      name in values ? values[name as TemplateVariable] || "" : match
+    )
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+export function templatesToJson(templates: PromptTemplate[]): string {
+  return JSON.stringify(
+    { format: FILE_FORMAT, version: FILE_VERSION, templates },
+    null,
+    2
+  );
+}
+
+// Add templates from a shared file. Entries identical to an existing
+// template are skipped; the rest get fresh ids. Throws with a user-facing
+// message when the file is not a template set.
+export function mergeTemplates(
+  current: PromptTemplate[],
+  text: string
+): { templates: PromptTemplate[]; added: number } {
+  let data: any;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Not a JSON file");
+  }
+  const list = Array.isArray(data) ? data : data?.templates;
+  if (!Array.isArray(list)) throw new Error("No templates found in this file");
+  const seen = new Set(current.map((t) => `${t.name}\n${t.body}`));
+  const incoming = list
+    .filter(
+      (t: any) => typeof t?.name === "string" && typeof t?.body === "string"
+    )
+    .filter((t: any) => !seen.has(`${t.name}\n${t.body}`))
+    .map((t: any) => ({ id: newTemplateId(), name: t.name, body: t.body }));
+  return { templates: [...current, ...incoming], added: incoming.length };
+}
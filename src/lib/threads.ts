@@ -0,0 +1,158 @@
+// Persistent conversation threads backed by chrome.storage.local.
+// The index holds lightweight summaries; each thread body lives under its own
+// key so saving one conversation does not rewrite every other one.
+
+import { storedAttachment } from "@/lib/attachments";
+import type {
+  ChatMessage,
+  ChatThread,
+  ThreadSettings,
+  ThreadSummary,
+} from "@/lib/types";
+
+const INDEX_KEY = "chat_threads_index";
+const ACTIVE_KEY = "active_thread_id";
+const THREAD_PREFIX = "chat_thread:";
+
+function threadKey(id: string) {
+  return `${THREAD_PREFIX}${id}`;
+}
+
+export function newThreadId(): string {
+  return (
+    Date.now().toString(36) + Math.random().toString(36).slice(2, 8)
+  ).toUpperCase();
+}
+
+export function deriveThreadTitle(messages: ChatMessage[]): string {
+  const first = messages.find((m) => m.role === "user" && m.content.trim());
+  if (!first) return "New chat";
+  const text = first.content.trim().replace(/\s+/g, " ");
+  return text.length > 48 ? text.slice(0, 45) + "..." : text;
+}
+
+export async function listThreads(): Promise<ThreadSummary[]> {
+  try {
+    const stored = await chrome.storage.local.get([INDEX_KEY]);
+    const index = stored?.[INDEX_KEY];
+    if (!Array.isArray(index)) return [];
+    return [...index].sort((a, b) => b.updatedAt - a.updatedAt);
+  } catch {
+    return [];
+  }
+}
+
+async function writeIndex(index: ThreadSummary[]) {
+  await chrome.storage.local.set({ [INDEX_KEY]: index });
+}
+
+export async function loadThread(id: string): Promise<ChatThread | null> {
+  try {
+    const key = threadKey(id);
+    const stored = await chrome.storage.local.get([key]);
+    const thread = stored?.[key];
+    return thread && Array.isArray(thread.messages) ? thread : null;
+  } catch {
+    return null;
+  }
+}
+
+// Attachments are slimmed down (see storedAttachment), also inside the
+// sibling tails of forks
+function storedMessage(m: ChatMessage): ChatMessage {
+  if (!m.attachments?.length && !m.branch) return m;
+  const out = { ...m };
+  if (m.attachments?.length) {
+    out.attachments = m.attachments.map(storedAttachment);
+  }
+  if (m.branch) {
+    out.branch = {
+      ...m.branch,
+      tails: m.branch.tails.map((tail) => tail.map(storedMessage)),
+    };
+  }
+  return out;
+}
+
+// Save messages and settings for a thread, creating it if needed. A title set
+// by the user is kept; otherwise it is derived from the first user message.
+export async function saveThread(
+  id: string,
+  messages: ChatMessage[],
+  settings?: ThreadSettings
+): Promise<ChatThread> {
+  const index = await listThreads();
+  const existing = index.find((t) => t.id === id);
+  const now = Date.now();
+  const summary: ThreadSummary = {
+    id,
+    title:
+      existing && existing.title !== "New chat"
+        ? existing.title
+        : deriveThreadTitle(messages),
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: now,
+  };
+  const thread: ChatThread = { ...summary, messages, settings };
+  await chrome.storage.local.set({
+    [threadKey(id)]: { ...thread, messages: messages.map(storedMessage) },
+  });
+  await writeIndex([summary, ...index.filter((t) => t.id !== id)]);
+  return thread;
+}
+
+export async function renameThread(id: string, title: string) {
+  const clean = title.trim();
+  if (!clean) return;
+  const index = await listThreads();
+  const next = index.map((t) => (t.id === id ? { ...t, title: clean } : t));
+  await writeIndex(next);
+  const thread = await loadThread(id);
+  if (thread) {
+    await chrome.storage.local.set({
+      [threadKey(id)]: { ...thread, title: clean },
+    });
+  }
+}
+
+export async function deleteThread(id: string) {
+  const index = await listThreads();
+  await writeIndex(index.filter((t) => t.id !== id));
+  await chrome.storage.local.remove([threadKey(id)]);
+  const activeId = await getActiveThreadId();
+  if (activeId === id) await setActiveThreadId(null);
+}
+
+export async function getActiveThreadId(): Promise<string | null> {
+  try {
+    const stored = await chrome.storage.local.get([ACTIVE_KEY]);
+    return typeof stored?.[ACTIVE_KEY] === "string" ? stored[ACTIVE_KEY] : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function setActiveThreadId(id: string | null) {
+  if (id) await chrome.storage.local.set({ [ACTIVE_KEY]: id });
+  else await chrome.storage.local.remove([ACTIVE_KEY]);
+}
+
+// Store an imported thread under a fresh id so it never overwrites an
+// existing conversation; its title and creation time are kept.
+export async function importThread(thread: ChatThread): Promise<ChatThread> {
+  const index = await listThreads();
+  const summary: ThreadSummary = {
+    id: newThreadId(),
+    title: thread.title || deriveThreadTitle(thread.messages),
+    createdAt: thread.createdAt || Date.now(),
+    updatedAt: Date.now(),
+  };
+  const imported: ChatThread = {
+    ...summary,
+    messages: thread.messages.map(storedMessage),
+    settings: thread.settings,
+  };
+  await chrome.storage.local.set({ [threadKey(summary.id)]: imported });
+  await writeIndex([summary, ...index]);
+  return imported;
+}
@@ -0,0 +1,95 @@
+// Shared sidepanel types
+
+import type { Attachment } from "@/lib/attachments";
+import type { GenerationParams } from "@/utils/openrouter-client.js";
+
+export type ChatMessage = {
+  role: "user" | "assistant" | "system" | "function";
+  content: string;
+  name?: string;
+  // Images and files sent with a user turn
+  attachments?: Attachment[];
+  // Page context (tabs, selection) sent with a user turn
+  context?: AttachedContext[];
+  automation?: {
+    isAutomation: true;
+    success?: boolean;
+    action?: string;
+    debug?: any;
+    step?: number;
+    durationMs?: number;
+    // The slash command that ran this action; its result is sent to the
+    // model with the step since no tool message carries it
+    command?: string;
+  };
+  // Which model and provider actually produced an assistant reply, and what
+  // the whole run behind it cost
+  response?: {
+    model?: string;
+    provider?: string;
+    cost?: number;
+    promptTokens?: number;
+    completionTokens?: number;
+  };
+  // Model reasoning ("thinking"), kept apart from the answer
+  reasoning?: { text: string; tokens?: number };
+  // Set on UI-only notices: the agent loop hit its step budget or was stopped
+  stopReason?: "step_budget" | "cancelled";
+  // Set on UI-only error notices so the panel can offer a matching action
+  error?: { kind: ChatErrorKind; detail?: string };
+  // Folded into a later summary: still shown, no longer sent
+  summarized?: boolean;
+  // A rolling summary standing in for the summarized turns before it
+  summary?: { turns: number };
+  // Set on the first message after a fork: every sibling tail from here on,
+  // with the slot of the shown one (`active`) left empty
+  branch?: { tails: ChatMessage[][]; active: number };
+  // A structured-mode reply: the parsed `{items}` (null when no JSON could
+  // be read) and any schema violations left after the repair pass
+  structured?: { schema: string; data: any; errors: string[] };
+};
+
+export type ContextKind = "active_tab" | "tab" | "selection";
+
+export type AttachedContext = {
+  kind: ContextKind;
+  title: string;
+  url?: string;
+  text: string;
+  tokens: number;
+};
+
+export type ChatErrorKind =
+  | "auth"
+  | "credits"
+  | "rate_limit"
+  | "moderation"
+  | "provider"
+  | "context_length"
+  | "budget"
+  | "no_model"
+  | "unknown";
+
+// Per-conversation overrides, persisted with the thread
+export type ThreadSettings = {
+  stepBudget?: number;
+  // Persona id, or "none" for no system prompt; unset uses the default
+  personaId?: string;
+  params?: GenerationParams;
+};
+
+export type ThreadSummary = {
+  id: string;
+  title: string;
+  createdAt: number;
+  updatedAt: number;
+};
+
+export type ChatThread = ThreadSummary & {
+  messages: ChatMessage[];
+  settings?: ThreadSettings;
+};
+
+// How reasoning from thinking models is handled: shown in a collapsible
+// block, kept but hidden, or excluded from responses altogether
+export type ReasoningMode = "show" | "hide" | "exclude";
@@ -10,54 +10,312 @@ import {
 } from "@/components/ui/select";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import {
-  CheckCircle2,
-  XCircle,
-  Info,
   Loader2,
   Mic,
   Square,
   Settings,
+  AlertTriangle,
+  MessagesSquare,
+  PauseCircle,
+  Plus,
+  SlidersHorizontal,
+  Paperclip,
+  Camera,
+  Layers,
+  BookText,
+  Braces,
+  Columns3,
 } from "lucide-react";
 import ReactMarkdown from "react-markdown";
 import remarkGfm from "remark-gfm";
 import * as OR from "@/utils/openrouter-client.js";
-
-type ChatMessage = {
-  role: "user" | "assistant" | "system" | "function";
-  content: string;
-  name?: string;
-  automation?: {
-    isAutomation: true;
-    success?: boolean;
-    action?: string;
-    debug?: any;
-  };
-};
+import { ThreadList } from "@/components/thread-list";
+import { MarkdownLink } from "@/components/markdown-link";
+import {
+  AgentProgressLine,
+  ToolStep,
+  type AgentProgress,
+} from "@/components/step-timeline";
+import type {
+  ChatMessage,
+  ReasoningMode,
+  ThreadSettings,
+  ThreadSummary,
+} from "@/lib/types";
+import {
+  clipToolOutput,
+  estimateRequestTokens,
+  estimateTokens,
+  fitToolOutputs,
+  formatTokenCount,
+  isConversational,
+  planCompaction,
+  promptBudget,
+  summaryRequest,
+  toRequestMessages,
+  trimConversation,
+} from "@/lib/context";
+import {
+  DEFAULT_BUDGET,
+  checkBudget,
+  formatUsd,
+  loadLedger,
+  recordSpend,
+  summarizeLedger,
+  type SpendBudget,
+  type SpendSummary,
+} from "@/lib/ledger";
+import { SpendingSettings } from "@/components/spending-settings";
+import { ModelPicker } from "@/components/model-picker";
+import { PersonaSettings } from "@/components/persona-settings";
+import { ParamsPanel } from "@/components/params-panel";
+import { ReasoningBlock } from "@/components/reasoning-block";
+import { AttachmentList } from "@/components/attachment-list";
+import { SummaryBlock } from "@/components/summary-block";
+import { TemplateSettings } from "@/components/template-settings";
+import { TemplateMenu } from "@/components/template-menu";
+import {
+  DEFAULT_TEMPLATES,
+  loadTemplates,
+  renderTemplate,
+  saveTemplates,
+  usedVariables,
+  type PromptTemplate,
+  type TemplateValues,
+} from "@/lib/templates";
+import { cn } from "@/lib/utils";
+import {
+  ContextChips,
+  SentContext,
+  TabMentionMenu,
+} from "@/components/context-chips";
+import {
+  clipContext,
+  fetchSelection,
+  fetchTabContext,
+  isContextUrl,
+  listOpenTabs,
+  mentionQuery,
+  stripMention,
+  type AttachedContext,
+  type ContextSource,
+} from "@/lib/page-context";
+import {
+  ATTACHMENT_ACCEPT,
+  captureVisibleTab,
+  readAttachment,
+  requiredModalities,
+  type Attachment,
+} from "@/lib/attachments";
+import { reasoningParams, validateParams } from "@/lib/params";
+import {
+  DEFAULT_PERSONAS,
+  loadPersonas,
+  renderPersonaPrompt,
+  resolvePersona,
+  savePersonas,
+  type PersonaStore,
+} from "@/lib/personas";
+import {
+  hasImageInput,
+  loadModelPrefs,
+  NoModelError,
+  pushRecent,
+  saveModelPrefs,
+  supportsStructuredOutputs,
+  toggleFavorite,
+  type ModelPrefs,
+} from "@/lib/models";
+import {
+  DEFAULT_ROUTING,
+  normalizeRouting,
+  type RoutingPreferences,
+} from "@/lib/routing";
+import { RoutingSettings } from "@/components/routing-settings";
+import { EndpointSettings } from "@/components/endpoint-settings";
+import { AccountSettings } from "@/components/account-settings";
+import { ConfirmDialog } from "@/components/confirm-dialog";
+import {
+  loadAuthInfo,
+  saveApiKey,
+  signInWithOpenRouter,
+  signOut,
+  type AuthInfo,
+} from "@/lib/auth";
+import {
+  activeEndpoints,
+  loadEndpoints,
+  saveEndpoints,
+  type EndpointConfig,
+} from "@/lib/endpoints";
+import {
+  deleteThread,
+  getActiveThreadId,
+  importThread,
+  listThreads,
+  loadThread,
+  newThreadId,
+  renameThread,
+  saveThread,
+  setActiveThreadId,
+} from "@/lib/threads";
+import {
+  copyThread,
+  downloadThread,
+  parseThreadJson,
+  type ExportFormat,
+} from "@/lib/export";
+import {
+  branchAnswers,
+  forkAt,
+  switchBranch,
+  turnStart,
+} from "@/lib/branches";
+import { MessageActions, MessageEditor } from "@/components/message-actions";
+import {
+  matchSlashCommands,
+  parseSlashCommand,
+  splitSubcommand,
+  summarizePrompt,
+  type ParsedCommand,
+  type SlashCommand,
+} from "@/lib/commands";
+import {
+  SlashCommandHint,
+  SlashCommandMenu,
+} from "@/components/slash-command-menu";
+import {
+  SCHEMA_PRESETS,
+  checkReply,
+  loadCustomSchema,
+  recordSchema,
+  repairMessages,
+  responseFormatFor,
+  saveCustomSchema,
+  schemaInstructions,
+} from "@/lib/structured";
+import {
+  StructuredPanel,
+  StructuredResult,
+} from "@/components/structured-output";
+import {
+  MIN_COMPARE_MODELS,
+  columnMessage,
+  loadCompareModels,
+  saveCompareModels,
+  toggleCompareModel,
+  type CompareColumn,
+  type Comparison,
+} from "@/lib/compare";
+import { CompareColumns, CompareModelBar } from "@/components/compare-view";
 
 // Context summary removed from UI
 
+const TAB_SEARCH_INSTRUCTIONS =
+  "Answer from the user's open tabs. Use the search_tabs tool (search again with different keywords if the first results are thin) and cite every fact with the Markdown citation of the passage it came from. If the tabs do not contain the answer, say so.";
+
 function App() {
   const [messages, setMessages] = useState<ChatMessage[]>([]);
   const [input, setInput] = useState("");
+  const [attachments, setAttachments] = useState<Attachment[]>([]);
+  const [attachError, setAttachError] = useState("");
+  const [activeTabSource, setActiveTabSource] = useState<ContextSource | null>(
+    null
+  );
+  const [activeTabEnabled, setActiveTabEnabled] = useState(true);
+  const [extraSources, setExtraSources] = useState<ContextSource[]>([]);
+  const [openTabs, setOpenTabs] = useState<chrome.tabs.Tab[]>([]);
+  const [mentionIndex, setMentionIndex] = useState(0);
+  const [commandIndex, setCommandIndex] = useState(0);
+  const [templates, setTemplates] = useState<PromptTemplate[]>([]);
+  const [isTemplateMenuOpen, setIsTemplateMenuOpen] = useState(false);
+  // Usage hints and outcomes of slash commands that add nothing to the thread
+  const [commandNotice, setCommandNotice] = useState("");
   const [apiKey, setApiKey] = useState("");
   const [hasKey, setHasKey] = useState(false);
+  const [authInfo, setAuthInfo] = useState<AuthInfo | null>(null);
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  // Outcome of checking a pasted key when settings are saved
+  const [keyNotice, setKeyNotice] = useState("");
+  const [checkingKey, setCheckingKey] = useState(false);
   const [stream, setStream] = useState(false);
   const [automationEnabled, setAutomationEnabled] = useState(true);
   const [models, setModels] = useState<any[]>([]);
+  const [endpoints, setEndpoints] = useState<EndpointConfig[]>([]);
+  const [isParamsOpen, setIsParamsOpen] = useState(false);
+  const [tabSearchMode, setTabSearchMode] = useState(false);
+  const [structuredMode, setStructuredMode] = useState(false);
+  const [structuredPreset, setStructuredPreset] = useState("product");
+  const [customSchema, setCustomSchema] = useState("");
+  const [compareMode, setCompareMode] = useState(false);
+  const [compareModels, setCompareModels] = useState<string[]>([]);
+  const [comparison, setComparison] = useState<Comparison | null>(null);
+  const [reasoningMode, setReasoningMode] = useState<ReasoningMode>("show");
+  const [personaStore, setPersonaStore] = useState<PersonaStore>({
+    personas: DEFAULT_PERSONAS,
+    defaultId: DEFAULT_PERSONAS[0].id,
+  });
+  const [modelPrefs, setModelPrefs] = useState<ModelPrefs>({
+    favorites: [],
+    recents: [],
+  });
   const [model, setModel] = useState<string>("auto");
   const [loading, setLoading] = useState(false);
   const [allowAllAutomation, setAllowAllAutomation] = useState(false);
   const [automationWhitelist, setAutomationWhitelist] = useState("");
   const [automationRateLimit, setAutomationRateLimit] = useState<number>(20);
   // removed unused seedPrompt state
-  const [debugMode] = useState(false);
   const [isRecording, setIsRecording] = useState(false);
   const [sttProvider, setSttProvider] = useState<"webspeech" | "gemini">(
     "gemini"
   );
   const [geminiApiKey, setGeminiApiKey] = useState("");
   const [sttError, setSttError] = useState<string>("");
+  const [routing, setRouting] = useState<RoutingPreferences>(DEFAULT_ROUTING);
+
+  // Persistent conversation threads
+  const [threadId, setThreadId] = useState<string | null>(null);
+  const [threads, setThreads] = useState<ThreadSummary[]>([]);
+  const [isThreadsOpen, setIsThreadsOpen] = useState(false);
+  const [threadsReady, setThreadsReady] = useState(false);
+  const [threadSettings, setThreadSettings] = useState<ThreadSettings>({});
+
+  // Agent loop budget: global default, overridable per conversation
+  const [defaultStepBudget, setDefaultStepBudget] = useState<number>(8);
+  const [compacting, setCompacting] = useState(false);
+  // Answer being regenerated with a model picked in the model picker
+  const [regenerateIndex, setRegenerateIndex] = useState<number | null>(null);
+  // Over-budget warning waiting for the user's answer
+  const [spendPrompt, setSpendPrompt] = useState<{
+    text: string;
+    resolve: (send: boolean) => void;
+  } | null>(null);
+  // The header model picker, also opened when Auto finds no suitable model
+  const [isModelPickerOpen, setIsModelPickerOpen] = useState(false);
+  // User message being edited in place
+  const [editing, setEditing] = useState<{
+    index: number;
+    text: string;
+  } | null>(null);
+  const [agentProgress, setAgentProgress] = useState<AgentProgress | null>(
+    null
+  );
+  const pendingConvoRef = useRef<OR.ChatRequestMessage[] | null>(null);
+  const abortRef = useRef<AbortController | null>(null);
+  // Conversation of the last failed run, kept for retry actions
+  const failedConvoRef = useRef<OR.ChatRequestMessage[] | null>(null);
+  const stepBudget = threadSettings.stepBudget ?? defaultStepBudget;
+  // Estimated size of the next request against the model's prompt budget
+  const contextUsage = useMemo(
+    () => ({
+      tokens: estimateRequestTokens(toRequestMessages(messages)),
+      budget: promptBudget(
+        models.find((m) => m.id === model),
+        threadSettings.params?.maxTokens
+      ),
+    }),
+    [messages, models, model, threadSettings.params?.maxTokens]
+  );
 
   // Usage and balance
   const [lastPromptTokens, setLastPromptTokens] = useState<number | null>(null);
@@ -65,8 +323,12 @@ function App() {
     number | null
   >(null);
   const [remainingCredits, setRemainingCredits] = useState<number | null>(null);
+  const [spendBudget, setSpendBudget] = useState<SpendBudget>(DEFAULT_BUDGET);
+  const [spendSummary, setSpendSummary] = useState<SpendSummary | null>(null);
 
   const listRef = useRef<HTMLDivElement>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const dismissedSelectionRef = useRef("");
   const recognitionRef = useRef<any>(null);
   const mediaRecorderRef = useRef<MediaRecorder | null>(null);
   const audioChunksRef = useRef<Blob[]>([]);
@@ -82,9 +344,18 @@ function App() {
           "preferred_model",
           "stt_provider",
           "gemini_api_key",
+          "agent_step_budget",
+          "reasoning_mode",
+          "routing_preferences",
+          "spend_budget",
         ]);
         const k = stored?.openrouter_api_key || "";
         setApiKey(k);
+        // Keys saved before sign-in existed count as pasted
+        setAuthInfo(
+          (await loadAuthInfo()) ||
+            (k ? { method: "manual", signedInAt: Date.now() } : null)
+        );
         setHasKey(!!k);
         if (typeof stored?.automation_enabled === "boolean") {
           setAutomationEnabled(stored.automation_enabled);
@@ -106,6 +377,18 @@ function App() {
         if (typeof stored?.preferred_model === "string") {
           setModel(stored.preferred_model);
         }
+        if (
+          stored?.reasoning_mode === "show" ||
+          stored?.reasoning_mode === "hide" ||
+          stored?.reasoning_mode === "exclude"
+        ) {
+          setReasoningMode(stored.reasoning_mode);
+        }
+        setModelPrefs(await loadModelPrefs());
+        setPersonaStore(await loadPersonas());
+        setTemplates(await loadTemplates());
+        setCustomSchema(await loadCustomSchema());
+        setCompareModels(await loadCompareModels());
         if (
           stored?.stt_provider === "gemini" ||
           stored?.stt_provider === "webspeech"
@@ -115,8 +398,21 @@ function App() {
         if (typeof stored?.gemini_api_key === "string") {
           setGeminiApiKey(stored.gemini_api_key);
         }
-        if (k) {
-          await fetchModels(k);
+        if (
+          typeof stored?.agent_step_budget === "number" &&
+          stored.agent_step_budget > 0
+        ) {
+          setDefaultStepBudget(stored.agent_step_budget);
+        }
+        setRouting(normalizeRouting(stored?.routing_preferences));
+        if (stored?.spend_budget && typeof stored.spend_budget === "object") {
+          setSpendBudget({ ...DEFAULT_BUDGET, ...stored.spend_budget });
+        }
+        setSpendSummary(summarizeLedger(await loadLedger()));
+        const savedEndpoints = await loadEndpoints();
+        setEndpoints(savedEndpoints);
+        if (k || activeEndpoints(savedEndpoints).length > 0) {
+          await fetchModels(k, savedEndpoints);
         }
       } catch (e) {
         // ignore
@@ -132,32 +428,223 @@ function App() {
     });
   }, [messages]);
 
+  // Restore the last open thread
+  useEffect(() => {
+    (async () => {
+      try {
+        setThreads(await listThreads());
+        const activeId = await getActiveThreadId();
+        const thread = activeId ? await loadThread(activeId) : null;
+        if (thread) {
+          setThreadId(thread.id);
+          setMessages(thread.messages);
+          setThreadSettings(thread.settings || {});
+        }
+      } finally {
+        setThreadsReady(true);
+      }
+    })();
+  }, []);
+
+  // Persist the current thread whenever its messages change
+  useEffect(() => {
+    if (!threadsReady || messages.length === 0) return;
+    const id = threadId || newThreadId();
+    if (!threadId) {
+      setThreadId(id);
+      setActiveThreadId(id);
+    }
+    const timer = setTimeout(async () => {
+      try {
+        await saveThread(id, messages, threadSettings);
+        setThreads(await listThreads());
+      } catch (error) {
+        console.warn("Openrouter Panel: Failed to save thread", error);
+      }
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [messages, threadId, threadsReady, threadSettings]);
+
   // Context summary removed
 
-  // Load and consume any seed prompt set by entry points
+  // Keep the active-tab context chip in sync with the focused tab
   useEffect(() => {
-    (async () => {
+    let latest = 0;
+    async function refresh() {
+      const seq = ++latest;
+      let tab: chrome.tabs.Tab | undefined;
+      try {
+        [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      } catch {
+        tab = undefined;
+      }
+      if (seq !== latest) return;
+      if (!tab?.id) {
+        setActiveTabSource(null);
+        return;
+      }
+      const base: ContextSource = {
+        id: "active",
+        kind: "active_tab",
+        tabId: tab.id,
+        title: tab.title || tab.url || "Untitled",
+        url: tab.url,
+        enabled: true,
+      };
+      if (!isContextUrl(tab.url)) {
+        setActiveTabSource({ ...base, error: "No page content for this tab" });
+        return;
+      }
+      setActiveTabSource({ ...base, loading: true });
       try {
-        const { seed_prompt } = await chrome.storage.local.get(["seed_prompt"]);
+        const ctx = await fetchTabContext(tab.id);
+        if (seq === latest) {
+          setActiveTabSource({ ...base, title: ctx.title, tokens: ctx.tokens });
+        }
+      } catch (error: any) {
+        if (seq === latest) {
+          setActiveTabSource({ ...base, error: error?.message || String(error) });
+        }
+      }
+    }
+    const onUpdated = (
+      _id: number,
+      info: { status?: string },
+      tab: chrome.tabs.Tab
+    ) => {
+      if (tab.active && info.status === "complete") refresh();
+    };
+    refresh();
+    chrome.tabs?.onActivated.addListener(refresh);
+    chrome.tabs?.onUpdated.addListener(onUpdated);
+    return () => {
+      latest = -1;
+      chrome.tabs?.onActivated.removeListener(refresh);
+      chrome.tabs?.onUpdated.removeListener(onUpdated);
+    };
+  }, []);
+
+  // Load open tabs when an @-mention starts
+  const mention = mentionQuery(input);
+  const mentioning = mention !== null;
+  useEffect(() => {
+    if (!mentioning) return;
+    setMentionIndex(0);
+    listOpenTabs().then(setOpenTabs);
+  }, [mentioning]);
+  const mentionMatches =
+    mention === null
+      ? []
+      : openTabs
+          .filter((t) =>
+            `${t.title || ""} ${t.url || ""}`
+              .toLowerCase()
+              .includes(mention.toLowerCase())
+          )
+          .slice(0, 8);
+
+  const commandMatches = matchSlashCommands(input);
+  const completingCommand = commandMatches !== null;
+  useEffect(() => {
+    if (completingCommand) setCommandIndex(0);
+  }, [completingCommand]);
+
+  // Argument hint while the arguments of a known command are typed
+  const commandHint =
+    !completingCommand && input.startsWith("/")
+      ? parseSlashCommand(input)?.command
+      : undefined;
+
+  function pickCommand(command: SlashCommand) {
+    setInput(`/${command.name}${command.args ? " " : ""}`);
+  }
+
+  // Load and consume any seed prompt or template set by entry points, on
+  // open and while the panel is already showing
+  useEffect(() => {
+    async function consumeSeeds() {
+      try {
+        const { seed_prompt, seed_template } = await chrome.storage.local.get([
+          "seed_prompt",
+          "seed_template",
+        ]);
         if (typeof seed_prompt === "string" && seed_prompt.trim().length > 0) {
           setInput(seed_prompt.trim());
           // clear after consumption
           await chrome.storage.local.remove(["seed_prompt"]);
         }
+        if (seed_template?.templateId) {
+          await chrome.storage.local.remove(["seed_template"]);
+          const template = [
+            ...(await loadTemplates()),
+            ...DEFAULT_TEMPLATES,
+          ].find((t) => t.id === seed_template.templateId);
+          if (template) await insertTemplate(template, seed_template);
+        }
       } catch (e) {
         // ignore
       }
-    })();
+    }
+    consumeSeeds();
+    const onChanged = (
+      changes: Record<string, chrome.storage.StorageChange>,
+      area: string
+    ) => {
+      if (
+        area === "local" &&
+        (changes.seed_prompt?.newValue || changes.seed_template?.newValue)
+      ) {
+        consumeSeeds();
+      }
+    };
+    chrome.storage.onChanged.addListener(onChanged);
+    return () => chrome.storage.onChanged.removeListener(onChanged);
   }, []);
 
-  const client = useMemo(
-    () => (hasKey ? new OR.OpenRouterClient(apiKey) : null),
-    [hasKey, apiKey]
-  );
+  // Fill the composer with a template, looking up only the variables it
+  // uses. Context menu picks pass the selection and tab they were made on.
+  async function insertTemplate(
+    template: PromptTemplate,
+    seed: { selection?: string; tabId?: number } = {}
+  ) {
+    setIsTemplateMenuOpen(false);
+    const tabId = seed.tabId ?? (await getActiveTabId());
+    const values: TemplateValues = {};
+    for (const name of usedVariables(template.body)) {
+      try {
+        if (name === "selection") {
+          values.selection =
+            seed.selection || (tabId != null ? await fetchSelection(tabId) : "");
+        } else if (name === "page.title" || name === "page.url") {
+          const tab = tabId != null ? await chrome.tabs.get(tabId) : undefined;
+          values["page.title"] = tab?.title || "";
+          values["page.url"] = tab?.url || "";
+        } else if (name === "page.text") {
+          values["page.text"] =
+            tabId != null ? (await fetchTabContext(tabId)).text : "";
+        } else if (name === "clipboard") {
+          values.clipboard = await navigator.clipboard.readText();
+        }
+      } catch (error) {
+        console.warn(`Openrouter Panel: {{${name}}} unavailable`, error);
+        values[name] = "";
+      }
+    }
+    setInput(renderTemplate(template.body, values));
+  }
+
+  // Custom endpoints alone are enough to chat, e.g. with only a local server
+  const endpointKey = JSON.stringify(activeEndpoints(endpoints));
+  const client = useMemo(() => {
+    const custom = JSON.parse(endpointKey);
+    return hasKey || custom.length > 0
+      ? new OR.OpenRouterClient(apiKey, { endpoints: custom })
+      : null;
+  }, [hasKey, apiKey, endpointKey]);
 
   useEffect(() => {
     (async () => {
-      if (!client) return;
+      if (!client || !hasKey) return;
       try {
         const credits = await client.getCredits();
         setRemainingCredits(credits.remaining);
@@ -190,7 +677,8 @@ function App() {
   function buildAutomationMessage(
     name: string,
     args: any,
-    result: any
+    result: any,
+    extras: { step?: number; durationMs?: number } = {}
   ): { text: string; meta: NonNullable<ChatMessage["automation"]> } {
     const success = result?.success !== false && !result?.error;
     const err = typeof result?.error === "string" ? result.error : undefined;
@@ -229,6 +717,15 @@ function App() {
           ? "Captured page content"
           : `Get page content failed${err ? `: ${err}` : ""}`;
         break;
+      case "search_tabs": {
+        const found = result?.data?.results?.length || 0;
+        text = success
+          ? `Searched ${result?.data?.indexedTabs || 0} tabs for "${
+              args?.query || ""
+            }": ${found} passage${found === 1 ? "" : "s"}`
+          : `Tab search failed${err ? `: ${err}` : ""}`;
+        break;
+      }
       case "ebay_search":
         text = success
           ? `eBay search started for "${args?.query || ""}"${
@@ -250,6 +747,22 @@ function App() {
           ? `Found UPCs for "${args?.query || "query"}"`
           : `UPC lookup failed${err ? `: ${err}` : ""}`;
         break;
+      case "todo_create":
+        text = success
+          ? `Added to-do "${result?.data?.title || args?.title || ""}"`
+          : `Add to-do failed${err ? `: ${err}` : ""}`;
+        break;
+      case "todo_list": {
+        const items: any[] = Array.isArray(result?.data) ? result.data : [];
+        text = success
+          ? items.length
+            ? items
+                .map((t) => `${t.done ? "[x]" : "[ ]"} ${t.title} (${t.id})`)
+                .join("\n")
+            : "No to-dos"
+          : `List to-dos failed${err ? `: ${err}` : ""}`;
+        break;
+      }
       default:
         text = success
           ? `${cleanAction(name)} succeeded`
@@ -262,13 +775,20 @@ function App() {
         success,
         action: name,
         debug: { args, result },
+        step: extras.step,
+        durationMs: extras.durationMs,
       },
     };
   }
 
-  async function fetchModels(k: string) {
+  async function fetchModels(
+    k: string,
+    endpointList: EndpointConfig[] = endpoints
+  ) {
     try {
-      const tempClient = new OR.OpenRouterClient(k);
+      const tempClient = new OR.OpenRouterClient(k, {
+        endpoints: activeEndpoints(endpointList),
+      });
       const res = await tempClient.listModels();
       setModels(Array.isArray(res) ? res : []);
     } catch (e) {
@@ -279,6 +799,30 @@ function App() {
   // Settings can be toggled via chat actions in the future
 
   async function saveSettings() {
+    // A pasted key is only stored once OpenRouter accepts it
+    let pastedKey: AuthInfo | null = null;
+    if (apiKey && !authInfo) {
+      setKeyNotice("");
+      setCheckingKey(true);
+      try {
+        const info = await new OR.OpenRouterClient(apiKey).getKeyInfo();
+        pastedKey = {
+          method: "manual",
+          signedInAt: Date.now(),
+          label: info?.label || undefined,
+        };
+      } catch (error: any) {
+        const detail = error?.message || String(error);
+        setKeyNotice(
+          error instanceof OR.AuthError
+            ? "OpenRouter rejected this API key. Fix or clear it to save."
+            : `Could not check the API key: ${detail}`
+        );
+        return;
+      } finally {
+        setCheckingKey(false);
+      }
+    }
     await chrome.storage.local.set({
       openrouter_api_key: apiKey,
       automation_enabled: automationEnabled,
@@ -289,178 +833,1441 @@ function App() {
       preferred_model: model,
       stt_provider: sttProvider,
       gemini_api_key: geminiApiKey,
+      agent_step_budget: defaultStepBudget,
+      reasoning_mode: reasoningMode,
+      routing_preferences: routing,
+      spend_budget: spendBudget,
     });
+    await savePersonas(personaStore);
+    await saveTemplates(templates);
+    await saveEndpoints(endpoints);
+    if (pastedKey) {
+      await saveApiKey(apiKey, pastedKey);
+      setAuthInfo(pastedKey);
+    }
     setHasKey(!!apiKey);
-    if (apiKey) await fetchModels(apiKey);
+    if (apiKey || activeEndpoints(endpoints).length > 0) {
+      await fetchModels(apiKey);
+    }
     setIsSettingsOpen(false);
   }
 
-  function uiModelLabel(m: any) {
-    return m?.id || m?.slug || String(m);
+  async function handleSignIn() {
+    const key = await signInWithOpenRouter();
+    setApiKey(key);
+    setHasKey(true);
+    setAuthInfo(await loadAuthInfo());
+    await fetchModels(key);
+  }
+
+  async function handleSignOut() {
+    await signOut();
+    setApiKey("");
+    setHasKey(false);
+    setAuthInfo(null);
+    setRemainingCredits(null);
+    if (activeEndpoints(endpoints).length > 0) await fetchModels("");
+    else setModels([]);
+  }
+
+  function selectModel(id: string) {
+    setModel(id);
+    const next = pushRecent(modelPrefs, id);
+    setModelPrefs(next);
+    chrome.storage.local.set({ preferred_model: id });
+    saveModelPrefs(next);
+  }
+
+  function toggleFavoriteModel(id: string) {
+    const next = toggleFavorite(modelPrefs, id);
+    setModelPrefs(next);
+    saveModelPrefs(next);
+  }
+
+  async function openThread(id: string) {
+    const thread = await loadThread(id);
+    if (!thread) return;
+    setThreadId(thread.id);
+    setMessages(thread.messages);
+    setThreadSettings(thread.settings || {});
+    setEditing(null);
+    setComparison(null);
+    pendingConvoRef.current = null;
+    await setActiveThreadId(thread.id);
+    setIsThreadsOpen(false);
+  }
+
+  async function startNewThread() {
+    setThreadId(null);
+    setMessages([]);
+    setThreadSettings({});
+    setEditing(null);
+    setComparison(null);
+    pendingConvoRef.current = null;
+    await setActiveThreadId(null);
+    setIsThreadsOpen(false);
+  }
+
+  async function handleRenameThread(id: string, title: string) {
+    await renameThread(id, title);
+    setThreads(await listThreads());
+  }
+
+  async function handleExportThread(
+    id: string,
+    format: ExportFormat,
+    copy = false
+  ) {
+    const thread = await loadThread(id);
+    if (!thread) throw new Error("Conversation not found");
+    // The open conversation may have changes that are not saved yet
+    const current = id === threadId ? { ...thread, messages } : thread;
+    if (copy) await copyThread(current, format);
+    else await downloadThread(current, format);
   }
 
-  // OpenRouter auto routing is used instead of a local heuristic when "Auto Select" is chosen
+  async function handleImportThread(file: File) {
+    const thread = await importThread(parseThreadJson(await file.text()));
+    setThreads(await listThreads());
+    await openThread(thread.id);
+  }
+
+  async function handleDeleteThread(id: string) {
+    await deleteThread(id);
+    if (id === threadId) {
+      setThreadId(null);
+      setMessages([]);
+      setThreadSettings({});
+      pendingConvoRef.current = null;
+    }
+    setThreads(await listThreads());
+  }
+
+  // Streaming drafts are always the last message while a round is in flight
+  function appendToDraft(text: string) {
+    setMessages((prev) => {
+      const next = [...prev];
+      const last = next[next.length - 1];
+      if (last?.role !== "assistant" || last.automation) return prev;
+      next[next.length - 1] = { ...last, content: last.content + text };
+      return next;
+    });
+  }
+
+  function appendReasoningToDraft(text: string) {
+    setMessages((prev) => {
+      const next = [...prev];
+      const last = next[next.length - 1];
+      if (last?.role !== "assistant" || last.automation) return prev;
+      next[next.length - 1] = {
+        ...last,
+        reasoning: { text: (last.reasoning?.text || "") + text },
+      };
+      return next;
+    });
+  }
 
-  async function handleSend() {
-    if (!input.trim()) return;
+  function patchDraft(patch: Partial<ChatMessage>) {
+    setMessages((prev) => {
+      const next = [...prev];
+      const last = next[next.length - 1];
+      if (last?.role !== "assistant" || last.automation) return prev;
+      next[next.length - 1] = { ...last, ...patch };
+      return next;
+    });
+  }
+
+  function dropEmptyDraft() {
+    setMessages((prev) => {
+      const last = prev[prev.length - 1];
+      if (
+        last?.role === "assistant" &&
+        !last.automation &&
+        !last.content &&
+        !last.reasoning?.text
+      ) {
+        return prev.slice(0, -1);
+      }
+      return prev;
+    });
+  }
+
+  function reasoningTokens(usage: any): number | undefined {
+    const n = usage?.completion_tokens_details?.reasoning_tokens;
+    return typeof n === "number" && n > 0 ? n : undefined;
+  }
+
+  // Resolve "Auto Select" to a concrete model. OpenRouter's auto router is
+  // the default; the local mode picks from model metadata so tool and image
+  // requirements are never violated. Without an OpenRouter key only the
+  // custom endpoints are reachable, so the local mode is always used. Throws
+  // NoModelError when nothing fits.
+  async function resolveAutoModel(
+    convo: OR.ChatRequestMessage[],
+    needsTools: boolean
+  ): Promise<string> {
+    const auto = routing.auto || DEFAULT_ROUTING.auto!;
+    if (!client) return "openrouter/auto";
+    if (hasKey && auto.mode !== "local") return "openrouter/auto";
+    const needsVision = hasImageInput(convo);
+    let picked: any = null;
+    try {
+      picked = await client.selectModelForTask(
+        needsTools ? "automation" : "quick",
+        {
+          needsTools,
+          needsVision,
+          promptTokens: estimateRequestTokens(convo),
+          preference: auto.preference,
+        }
+      );
+    } catch (error) {
+      console.warn("Openrouter Panel: Local model selection failed", error);
+    }
+    if (picked?.id) return picked.id;
+    const needs = [
+      needsTools && "tool calling",
+      needsVision && "image input",
+      "a long enough context window",
+    ].filter(Boolean);
+    throw new NoModelError(
+      `Auto could not find a model with ${needs.join(", ")}. Choose a model for this request.`
+    );
+  }
+
+  async function handleSend(text: string = input) {
+    if (!text.trim() && attachments.length === 0) return;
+    const command = parseSlashCommand(text);
+    if (command) {
+      await runSlashCommand(command);
+      return;
+    }
     if (!client) {
       setIsSettingsOpen(true);
       return;
     }
+    if (comparison) {
+      setCommandNotice(
+        "Keep one of the compared answers or discard them first"
+      );
+      return;
+    }
+    if (compareMode && compareModels.length < MIN_COMPARE_MODELS) {
+      setCommandNotice(`Pick at least ${MIN_COMPARE_MODELS} models to compare`);
+      return;
+    }
 
-    const userMsg: ChatMessage = { role: "user", content: input.trim() };
-    setMessages((prev) => [...prev, userMsg]);
+    const userMsg: ChatMessage = { role: "user", content: text.trim() };
+    if (attachments.length > 0) userMsg.attachments = attachments;
+    const context = await gatherContext();
+    if (context.length > 0) userMsg.context = context;
+    setInput("");
+    setAttachments([]);
+    setAttachError("");
+    setExtraSources([]);
+    await sendTurn(messages, userMsg);
+  }
+
+  // Slash commands call background actions directly (no model round trip)
+  // or send a structured prompt
+  async function runSlashCommand({ command, args }: ParsedCommand) {
+    const label = `/${command.name}${args ? ` ${args}` : ""}`;
+    const run = (name: string, params: any) =>
+      runCommandAction(name, params, label);
+    const usage = () =>
+      setCommandNotice(`Usage: /${command.name} ${command.args}`);
+    setCommandNotice("");
+    switch (command.name) {
+      case "summarize":
+        await handleSend(summarizePrompt(args));
+        break;
+      case "prices":
+        if (!args) usage();
+        else await run("fetch_prices", { query: args });
+        break;
+      case "upc":
+        if (!args) usage();
+        else await run("upc_lookup", { query: args });
+        break;
+      case "todo": {
+        const [sub, rest] = splitSubcommand(args);
+        if (sub === "add" && rest) {
+          await run("todo_create", { title: rest });
+        } else if (sub === "list" || !sub) {
+          await run("todo_list", {});
+        } else if (sub === "done" && rest) {
+          await run("todo_set_status", { id: rest, done: true });
+        } else if (sub === "clear") {
+          await run("todo_clear", { onlyDone: true });
+        } else {
+          usage();
+        }
+        break;
+      }
+      case "sheet": {
+        const [sub, rest] = splitSubcommand(args);
+        if (sub === "append") {
+          await run("sheets_append_page_summary", {
+            sheetName: rest || undefined,
+          });
+        } else {
+          usage();
+        }
+        break;
+      }
+      case "model": {
+        const query = args.toLowerCase();
+        const match =
+          query === "auto"
+            ? "auto"
+            : (
+                models.find((m) => m.id.toLowerCase() === query) ||
+                models.find(
+                  (m) =>
+                    m.id.toLowerCase().includes(query) ||
+                    String(m.name || "")
+                      .toLowerCase()
+                      .includes(query)
+                )
+              )?.id;
+        if (!query) {
+          usage();
+        } else if (!match) {
+          setCommandNotice(`No model matches "${args}"`);
+        } else {
+          selectModel(match);
+          setInput("");
+          setCommandNotice(`Switched to ${match}`);
+        }
+        break;
+      }
+      case "clear":
+        setInput("");
+        await startNewThread();
+        break;
+      case "export": {
+        const format: ExportFormat | undefined =
+          !args || args === "md" || args === "markdown"
+            ? "markdown"
+            : args === "json" || args === "html"
+            ? args
+            : undefined;
+        if (!format) {
+          usage();
+        } else if (!threadId || messages.length === 0) {
+          setCommandNotice("Nothing to export yet");
+        } else {
+          setInput("");
+          try {
+            await handleExportThread(threadId, format);
+          } catch (error: any) {
+            setCommandNotice(error?.message || String(error));
+          }
+        }
+        break;
+      }
+    }
+  }
+
+  // Run one background action for a slash command and add it to the thread
+  // as a tool step
+  async function runCommandAction(name: string, args: any, command: string) {
     setInput("");
     setLoading(true);
+    const started = Date.now();
+    try {
+      const result = await executeAutomationFunction(name, args);
+      const autoMsg = buildAutomationMessage(name, args, result, {
+        durationMs: Date.now() - started,
+      });
+      setMessages((prev) => [
+        ...prev,
+        {
+          role: "assistant",
+          content: autoMsg.text,
+          automation: { ...autoMsg.meta, command },
+        },
+      ]);
+    } catch (error: any) {
+      setCommandNotice(error?.message || String(error));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Append a user turn to `thread` and run the agent on it, compacting
+  // older turns first when the window is nearly full
+  async function sendTurn(
+    thread: ChatMessage[],
+    userMsg: ChatMessage,
+    modelOverride?: string
+  ) {
+    setMessages([...thread, userMsg]);
+    const history = await compactHistory(thread, userMsg, modelOverride);
+    if (history !== thread) {
+      setMessages((prev) => [...history, ...prev.slice(thread.length)]);
+    }
+    const convo = toRequestMessages([...history, userMsg]);
+    if (structuredMode) await runStructured(convo, modelOverride);
+    else if (compareMode && !modelOverride) {
+      await runComparison(convo, history.length);
+    } else await runAgent(convo, modelOverride);
+  }
+
+  // Edit-and-resend: the edited prompt starts a new branch at its turn
+  async function resendEdited(index: number, text: string) {
+    const original = messages[index];
+    if (!original || loading || !text.trim()) return;
+    setEditing(null);
+    const edited = forkAt(messages, index, {
+      ...original,
+      content: text.trim(),
+    });
+    await sendTurn(messages.slice(0, index), edited);
+  }
+
+  // Re-ask the turn behind message `index`, optionally with another model;
+  // the new answer becomes a sibling branch of the old one
+  async function regenerate(index: number, modelOverride?: string) {
+    const start = turnStart(messages, index);
+    if (start < 0 || loading) return;
+    const fresh = forkAt(messages, start, messages[start]);
+    await sendTurn(messages.slice(0, start), fresh, modelOverride);
+  }
+
+  // The last answer of a turn, where regenerate is offered
+  function isTurnEnd(index: number) {
+    const m = messages[index];
+    const next = messages[index + 1];
+    return (
+      m.role === "assistant" &&
+      !m.summarized &&
+      !m.summary &&
+      (!next || next.role === "user")
+    );
+  }
+
+  function showBranch(index: number, target: number) {
+    if (loading) return;
+    setEditing(null);
+    pendingConvoRef.current = null;
+    setMessages((prev) => switchBranch(prev, index, target));
+  }
 
+  // Fold older turns into a rolling summary when the thread nears the
+  // model's window. On failure the thread is sent as is; a context-length
+  // error still offers trimming.
+  async function compactHistory(
+    thread: ChatMessage[],
+    pending: ChatMessage,
+    modelId: string = model
+  ): Promise<ChatMessage[]> {
+    if (!client) return thread;
+    const info = models.find((m) => m.id === modelId);
+    const budget = promptBudget(info, threadSettings.params?.maxTokens);
+    const cut = planCompaction([...thread, pending], budget);
+    if (cut === 0) return thread;
+    const older = thread.slice(0, cut);
+    setLoading(true);
+    setCompacting(true);
     try {
-      // Use OpenRouter's Auto Router when "Auto Select" is chosen
-      let selectedModel = model === "auto" ? "openrouter/auto" : model;
-      if (!selectedModel) selectedModel = "openrouter/auto";
-
-      // If streaming enabled, do simple streaming without tools
-      if (stream) {
-        const draftIndex = messages.length + 1;
-        setMessages((prev) => [...prev, { role: "assistant", content: "" }]);
-        setLastPromptTokens(null);
-        setLastCompletionTokens(null);
-        await client.chatWithStreaming(
-          selectedModel,
-          [...messages, userMsg],
-          null,
-          (choice: any) => {
-            const delta = choice?.delta || {};
-            const text = delta?.content || "";
-            if (text) {
-              setMessages((prev) => {
-                const next = [...prev];
-                next[draftIndex] = {
-                  role: "assistant",
-                  content: (next[draftIndex]?.content || "") + text,
-                };
-                return next;
-              });
-            }
-          },
-          {
-            onUsage: (u: any) => {
-              if (typeof u?.prompt_tokens === "number")
-                setLastPromptTokens(u.prompt_tokens);
-              if (typeof u?.completion_tokens === "number")
-                setLastCompletionTokens(u.completion_tokens);
-            },
-          }
-        );
-        // Refresh credits after a call
-        try {
-          const credits = await client.getCredits();
-          setRemainingCredits(credits.remaining);
-        } catch (error) {
-          console.warn("Openrouter Panel: Failed to refresh credits", error);
+      const request = summaryRequest(older);
+      const summarizer =
+        !modelId || modelId === "auto"
+          ? await resolveAutoModel(request, false)
+          : modelId;
+      const result = await client.chat(summarizer, request, null, {
+        routing,
+        params: { maxTokens: 1024 },
+      });
+      const text = result?.choices?.[0]?.message?.content?.trim();
+      await chargeRequest(result, summarizer, ensureThreadId());
+      if (!text) return thread;
+      const turns = older.filter((m) => isConversational(m) && !m.summary);
+      return [
+        ...older.map((m) =>
+          m.summarized || !isConversational(m) ? m : { ...m, summarized: true }
+        ),
+        { role: "system", content: text, summary: { turns: turns.length } },
+        ...thread.slice(cut),
+      ];
+    } catch (error) {
+      console.warn("Openrouter Panel: Conversation compaction failed", error);
+      return thread;
+    } finally {
+      setCompacting(false);
+    }
+  }
+
+  // Record a non-streamed request in the local ledger
+  async function chargeRequest(
+    result: any,
+    requestedModel: string,
+    spendThreadId: string
+  ) {
+    const usage = result?.usage || null;
+    const answeredBy = result?.model || requestedModel;
+    const entry = {
+      ts: Date.now(),
+      threadId: spendThreadId,
+      model: answeredBy,
+      cost: await costOfRequest(usage, result?.id || null, answeredBy),
+      promptTokens: usage?.prompt_tokens || 0,
+      completionTokens: usage?.completion_tokens || 0,
+    };
+    await recordSpend(entry);
+    return entry;
+  }
+
+  function pickMentionTab(tab: chrome.tabs.Tab) {
+    setInput((prev) => {
+      const rest = stripMention(prev);
+      return rest ? rest + " " : "";
+    });
+    if (tab.id == null) return;
+    if (tab.id === activeTabSource?.tabId) {
+      setActiveTabEnabled(true);
+      return;
+    }
+    const id = `tab:${tab.id}`;
+    if (extraSources.some((s) => s.id === id)) return;
+    const tabId = tab.id;
+    setExtraSources((prev) => [
+      ...prev,
+      {
+        id,
+        kind: "tab",
+        tabId,
+        title: tab.title || tab.url || "Untitled",
+        url: tab.url,
+        enabled: true,
+        loading: true,
+      },
+    ]);
+    const patch = (p: Partial<ContextSource>) =>
+      setExtraSources((prev) =>
+        prev.map((s) => (s.id === id ? { ...s, ...p, loading: false } : s))
+      );
+    fetchTabContext(tabId)
+      .then((ctx) => patch({ title: ctx.title, tokens: ctx.tokens }))
+      .catch((error) => patch({ error: error?.message || String(error) }));
+  }
+
+  // Offer the page selection as a chip when the composer gains focus
+  async function refreshSelection() {
+    if (!activeTabSource || activeTabSource.error) return;
+    const text = await fetchSelection(activeTabSource.tabId);
+    setExtraSources((prev) => {
+      const others = prev.filter((s) => s.kind !== "selection");
+      if (!text || text === dismissedSelectionRef.current) return others;
+      const clipped = clipContext(text);
+      const preview = text.replace(/\s+/g, " ").slice(0, 30);
+      return [
+        ...others,
+        {
+          id: "selection",
+          kind: "selection",
+          tabId: activeTabSource.tabId,
+          title: `“${preview}${text.length > 30 ? "…" : ""}”`,
+          url: activeTabSource.url,
+          enabled: true,
+          text: clipped,
+          tokens: estimateTokens(clipped),
+        },
+      ];
+    });
+  }
+
+  function toggleContextSource(id: string) {
+    if (id === "active") {
+      setActiveTabEnabled((v) => !v);
+      return;
+    }
+    setExtraSources((prev) =>
+      prev.map((s) => (s.id === id ? { ...s, enabled: !s.enabled } : s))
+    );
+  }
+
+  function removeContextSource(id: string) {
+    const removed = extraSources.find((s) => s.id === id);
+    if (removed?.kind === "selection") {
+      dismissedSelectionRef.current = removed.text || "";
+    }
+    setExtraSources((prev) => prev.filter((s) => s.id !== id));
+  }
+
+  // Fetch live text for every enabled context chip. Page text that an earlier
+  // turn of this conversation already carried is not sent again.
+  async function gatherContext(): Promise<AttachedContext[]> {
+    const sources = [
+      ...(activeTabEnabled && activeTabSource && !activeTabSource.error
+        ? [activeTabSource]
+        : []),
+      ...extraSources.filter((s) => s.enabled && !s.error),
+    ];
+    const out: AttachedContext[] = [];
+    for (const source of sources) {
+      if (source.kind === "selection") {
+        if (source.text) {
+          out.push({
+            kind: "selection",
+            title: "Selection",
+            url: source.url,
+            text: source.text,
+            tokens: source.tokens || estimateTokens(source.text),
+          });
         }
-        setLoading(false);
-        return;
+        continue;
       }
+      try {
+        const ctx = await fetchTabContext(source.tabId);
+        out.push({ ...ctx, kind: source.kind });
+      } catch (error) {
+        console.warn("Openrouter Panel: Tab context unavailable", error);
+      }
+    }
+    const seen = new Set(
+      messages.flatMap((m) => m.context || []).map((c) => `${c.url}\n${c.text}`)
+    );
+    return out.filter((c) => !seen.has(`${c.url}\n${c.text}`));
+  }
+
+  async function addAttachments(files: FileList | File[]) {
+    const added: Attachment[] = [];
+    const errors: string[] = [];
+    for (const file of Array.from(files)) {
+      try {
+        added.push(await readAttachment(file));
+      } catch (error: any) {
+        errors.push(error?.message || String(error));
+      }
+    }
+    if (added.length) setAttachments((prev) => [...prev, ...added]);
+    setAttachError(errors.join("; "));
+  }
 
-      // Non-streaming with tool calling
+  async function attachScreenshot() {
+    try {
+      const shot = await captureVisibleTab();
+      setAttachments((prev) => [...prev, shot]);
+      setAttachError("");
+    } catch (error: any) {
+      setAttachError(
+        `Could not capture the tab: ${error?.message || String(error)}`
+      );
+    }
+  }
+
+  // Resume a run that stopped on the step budget with a fresh budget
+  async function continueAgent() {
+    const convo = pendingConvoRef.current;
+    setMessages((prev) =>
+      prev[prev.length - 1]?.stopReason ? prev.slice(0, -1) : prev
+    );
+    if (convo) {
+      await runAgent(convo);
+    } else {
+      // The in-memory conversation is gone (e.g. panel reopened); ask to resume
+      await handleSend("Continue the task from where you stopped.");
+    }
+  }
+
+  // Threads are created lazily; make sure spending can be attributed to one
+  function ensureThreadId(): string {
+    if (threadId) return threadId;
+    const id = newThreadId();
+    setThreadId(id);
+    setActiveThreadId(id);
+    return id;
+  }
+
+  // Exact cost of one request: the usage block when the provider reports it,
+  // else generation stats, else an estimate from the model's pricing
+  async function costOfRequest(
+    usage: any,
+    generationId: string | null,
+    modelId: string
+  ): Promise<number> {
+    if (typeof usage?.cost === "number") return usage.cost;
+    // Generation stats exist only for OpenRouter requests
+    if (generationId && client && !client.isCustomModel(modelId)) {
+      try {
+        const stats = await client.getGeneration(generationId);
+        if (typeof stats?.total_cost === "number") return stats.total_cost;
+      } catch (error) {
+        console.warn("Openrouter Panel: Generation stats unavailable", error);
+      }
+    }
+    const info = models.find((m) => m.id === modelId);
+    const estimate = client?.estimateCost(
+      info,
+      usage?.prompt_tokens || 0,
+      usage?.completion_tokens || 0
+    );
+    return estimate?.totalCost ?? 0;
+  }
+
+  // Check spending caps before a request. Returns false when it must not be sent.
+  async function allowSpend(
+    convo: OR.ChatRequestMessage[],
+    modelId: string,
+    run: { warned: boolean }
+  ): Promise<boolean> {
+    if (spendBudget.daily == null && spendBudget.monthly == null) return true;
+    const summary = summarizeLedger(await loadLedger());
+    const info = models.find((m) => m.id === modelId);
+    const estimate =
+      client?.estimateCost(info, estimateRequestTokens(convo), 1000)
+        ?.totalCost ?? 0;
+    const hit = checkBudget(summary, spendBudget, estimate);
+    if (!hit) return true;
+    const text = `This request (~${formatUsd(estimate)}) would exceed your ${
+      hit.period
+    } budget: ${formatUsd(hit.spent)} of ${formatUsd(hit.cap)} spent.`;
+    if (spendBudget.mode === "warn") {
+      if (run.warned) return true;
+      run.warned = true;
+      const send = await new Promise<boolean>((resolve) =>
+        setSpendPrompt({ text, resolve })
+      );
+      if (send) return true;
+    }
+    setMessages((prev) => [
+      ...prev,
+      {
+        role: "assistant",
+        content: `${text} The request was not sent.`,
+        error: { kind: "budget" },
+      },
+    ]);
+    return false;
+  }
+
+  // System message for this thread's persona (template variables filled from
+  // the active tab and attached tools), plus retrieval instructions in
+  // "all tabs" mode
+  async function buildSystemMessage(
+    modelId: string,
+    toolFns: any[]
+  ): Promise<OR.ChatRequestMessage | null> {
+    const parts: string[] = [];
+    const persona = resolvePersona(personaStore, threadSettings.personaId);
+    if (persona && persona.prompt.trim()) {
+      let tab: chrome.tabs.Tab | undefined;
+      try {
+        [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      } catch {
+        tab = undefined;
+      }
+      const now = new Date();
+      parts.push(
+        renderPersonaPrompt(persona.prompt, {
+          date: now.toLocaleDateString(undefined, { dateStyle: "full" }),
+          time: now.toLocaleTimeString([], {
+            hour: "2-digit",
+            minute: "2-digit",
+          }),
+          tab_title: tab?.title || "unknown",
+          tab_url: tab?.url || "unknown",
+          tools: toolFns.map((f) => f.name).join(", ") || "none",
+          model: modelId,
+        })
+      );
+    }
+    if (tabSearchMode) parts.push(TAB_SEARCH_INSTRUCTIONS);
+    return parts.length ? { role: "system", content: parts.join("\n\n") } : null;
+  }
+
+  async function runAgent(
+    startConvo: OR.ChatRequestMessage[],
+    modelOverride?: string
+  ) {
+    if (!client) return;
+    pendingConvoRef.current = null;
+    failedConvoRef.current = null;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const { signal } = controller;
+    setLoading(true);
+    let convo = startConvo;
+    const runThreadId = ensureThreadId();
+
+    try {
       const toolFns = [
         ...(automationEnabled ? OR.AUTOMATION_FUNCTIONS : []),
         ...(((OR as any).TODO_FUNCTIONS as any[]) || []),
         ...(((OR as any).SUMMARIZER_FUNCTIONS as any[]) || []),
+        ...OR.TAB_SEARCH_FUNCTIONS,
       ];
-      let convo = [...messages, userMsg];
+      const requested = modelOverride || model;
+      const selectedModel =
+        !requested || requested === "auto"
+          ? await resolveAutoModel(convo, toolFns.length > 0)
+          : requested;
+      // The persona is prepended per request and never stored in `convo`, so
+      // retries and continuations render it fresh
+      const system = await buildSystemMessage(selectedModel, toolFns);
+      const withSystem = (c: OR.ChatRequestMessage[]) =>
+        system ? [system, ...c] : c;
+      const modelInfo = models.find((m) => m.id === selectedModel);
+      const { params, notes } = validateParams(
+        { ...threadSettings.params, ...reasoningParams(reasoningMode) },
+        modelInfo
+      );
+      const windowBudget = promptBudget(modelInfo, params.maxTokens);
+      if (notes.length) console.warn("Openrouter Panel:", notes.join("; "));
       setLastPromptTokens(null);
       setLastCompletionTokens(null);
-      for (let i = 0; i < 3; i++) {
-        const result = await client.chat(selectedModel, convo, toolFns, {});
-        const usage =
-          (result && (result.usage || result.response?.usage)) || null;
-        if (usage) {
-          if (typeof usage.prompt_tokens === "number")
-            setLastPromptTokens(usage.prompt_tokens);
-          if (typeof usage.completion_tokens === "number")
-            setLastCompletionTokens(usage.completion_tokens);
+      const recordUsage = (usage: any) => {
+        if (!usage) return;
+        if (typeof usage.prompt_tokens === "number")
+          setLastPromptTokens(usage.prompt_tokens);
+        if (typeof usage.completion_tokens === "number")
+          setLastCompletionTokens(usage.completion_tokens);
+      };
+      // In "all tabs" mode a new question always starts with a tab search
+      const lastRole = startConvo[startConvo.length - 1]?.role;
+      const forcedTool = (step: number) =>
+        tabSearchMode && step === 1 && lastRole === "user"
+          ? "search_tabs"
+          : undefined;
+      const budget = stepBudget;
+      const spendCheck = { warned: false };
+      const totals = { cost: 0, promptTokens: 0, completionTokens: 0 };
+      let finished = false;
+      for (let step = 1; step <= budget; step++) {
+        if (signal.aborted) break;
+        convo = fitToolOutputs(convo, windowBudget);
+        const allowed = await allowSpend(
+          withSystem(convo),
+          selectedModel,
+          spendCheck
+        );
+        if (!allowed) {
+          finished = true;
+          break;
         }
-        const msg = result?.choices?.[0]?.message;
-        if (!msg) break;
-
-        // Tool call path (supports tools API and legacy function_call)
-        const toolCalls: any[] = Array.isArray((msg as any)?.tool_calls)
-          ? (msg as any).tool_calls
-          : (msg as any)?.function_call
-          ? [
-              {
-                type: "function",
-                function: {
-                  name: (msg as any).function_call.name,
-                  arguments: (msg as any).function_call.arguments,
-                },
+        setAgentProgress({ step, budget, running: [] });
+        let msg: any;
+        let answeredBy: ChatMessage["response"];
+        let usage: any = null;
+        let generationId: string | null = null;
+        if (stream) {
+          // Stream text into a draft message; tool calls are assembled by the client
+          setMessages((prev) => [...prev, { role: "assistant", content: "" }]);
+          const streamed = await client.chatWithStreaming(
+            selectedModel,
+            withSystem(convo),
+            toolFns,
+            (choice: any) => {
+              const thinking = choice?.delta?.reasoning;
+              if (typeof thinking === "string" && thinking) {
+                appendReasoningToDraft(thinking);
+              }
+              const text = choice?.delta?.content || "";
+              if (text) appendToDraft(text);
+            },
+            {
+              onUsage: recordUsage,
+              signal,
+              routing,
+              params,
+              functionCall: forcedTool(step),
+            }
+          );
+          msg = streamed.message;
+          answeredBy = {
+            model: streamed.model || undefined,
+            provider: streamed.provider || undefined,
+          };
+          usage = streamed.usage;
+          generationId = streamed.id;
+          if (msg.reasoning) {
+            patchDraft({
+              reasoning: {
+                text: msg.reasoning,
+                tokens: reasoningTokens(usage),
               },
-            ]
-          : [];
+            });
+          }
+          if (!msg.content) dropEmptyDraft();
+        } else {
+          const result = await client.chat(
+            selectedModel,
+            withSystem(convo),
+            toolFns,
+            { signal, routing, params, functionCall: forcedTool(step) }
+          );
+          usage = (result && (result.usage || result.response?.usage)) || null;
+          recordUsage(usage);
+          msg = result?.choices?.[0]?.message;
+          answeredBy = {
+            model: result?.model || undefined,
+            provider: result?.provider || undefined,
+          };
+          generationId = result?.id || null;
+        }
+
+        // Account for this request in the local ledger
+        const cost = await costOfRequest(
+          usage,
+          generationId,
+          answeredBy?.model || selectedModel
+        );
+        totals.cost += cost;
+        totals.promptTokens += usage?.prompt_tokens || 0;
+        totals.completionTokens += usage?.completion_tokens || 0;
+        await recordSpend({
+          ts: Date.now(),
+          threadId: runThreadId,
+          model: answeredBy?.model || selectedModel,
+          cost,
+          promptTokens: usage?.prompt_tokens || 0,
+          completionTokens: usage?.completion_tokens || 0,
+        });
+        if (!msg) {
+          finished = true;
+          break;
+        }
+
+        const reasoning =
+          typeof msg.reasoning === "string" && msg.reasoning
+            ? { text: msg.reasoning, tokens: reasoningTokens(usage) }
+            : undefined;
 
+        // Tool call path (supports tools API and legacy function_call)
+        const toolCalls = client.normalizeToolCalls(msg);
         if (toolCalls.length > 0) {
-          for (const call of toolCalls) {
-            const fnName = call?.function?.name;
-            let args: any = {};
-            try {
-              args = call?.function?.arguments
-                ? JSON.parse(call.function.arguments)
-                : {};
-            } catch {
-              args = {};
-            }
-            const toolResult = await executeAutomationFunction(fnName, args);
-            const autoMsg = buildAutomationMessage(fnName, args, toolResult);
+          // Keep any text and reasoning sent with the tool calls (streaming
+          // already rendered them)
+          if (!stream && (msg.content || reasoning)) {
             setMessages((prev) => [
               ...prev,
-              {
-                role: "assistant",
-                content: autoMsg.text,
-                automation: autoMsg.meta,
-              },
+              { role: "assistant", content: msg.content || "", reasoning },
             ]);
-            const functionMessage: ChatMessage = {
-              role: "function",
-              name: fnName,
-              content: JSON.stringify(toolResult ?? {}),
-            } as any;
-            convo = [
-              ...convo,
-              { role: "assistant", content: "" } as any,
-              functionMessage,
-            ];
           }
-          continue; // ask again with function result(s)
+          setAgentProgress({
+            step,
+            budget,
+            running: toolCalls.map((c) => cleanAction(c.function.name)),
+          });
+          const results = await client.runToolCalls(
+            toolCalls,
+            async (name: string, args: any) =>
+              signal.aborted
+                ? { success: false, cancelled: true, error: "Cancelled" }
+                : executeAutomationFunction(name, args),
+            ({ toolCall, args, result, durationMs }) => {
+              const autoMsg = buildAutomationMessage(
+                toolCall.function.name,
+                args,
+                result,
+                { step, durationMs }
+              );
+              setMessages((prev) => [
+                ...prev,
+                {
+                  role: "assistant",
+                  content: autoMsg.text,
+                  automation: autoMsg.meta,
+                },
+              ]);
+            }
+          );
+          convo = [
+            ...convo,
+            client.buildAssistantToolCallMessage(msg, toolCalls),
+            ...results.map(({ toolCall, result }) => {
+              const toolMsg = client.buildToolResultMessage(toolCall, result);
+              return { ...toolMsg, content: clipToolOutput(String(toolMsg.content)) };
+            }),
+          ];
+          continue; // ask again with tool result(s)
         }
 
-        // Standard assistant response
+        // Standard assistant response (already rendered when streaming)
+        answeredBy = { ...answeredBy, ...totals };
+        if (!stream) {
+          setMessages((prev) => [
+            ...prev,
+            {
+              role: "assistant",
+              content: msg.content || "",
+              reasoning,
+              response: answeredBy,
+            },
+          ]);
+        } else {
+          patchDraft({ response: answeredBy });
+        }
+        finished = true;
+        break;
+      }
+      if (signal.aborted) {
+        appendStoppedNotice();
+      } else if (!finished) {
+        // The model still wanted tools when the budget ran out; keep the
+        // conversation so the user can continue it
+        pendingConvoRef.current = convo;
         setMessages((prev) => [
           ...prev,
-          { role: "assistant", content: msg.content || "" },
+          {
+            role: "assistant",
+            content: `Stopped after ${budget} step${
+              budget === 1 ? "" : "s"
+            }: the step budget ran out before the model finished.`,
+            stopReason: "step_budget",
+          },
         ]);
-        break;
       }
-      // Refresh credits after a call
-      try {
-        const credits = await client.getCredits();
-        setRemainingCredits(credits.remaining);
-      } catch (error) {
-        console.warn("Openrouter Panel: Failed to refresh credits", error);
+      // Refresh credits after a call
+      await refreshCredits();
+    } catch (error: any) {
+      if (signal.aborted || error?.name === "AbortError") {
+        dropEmptyDraft();
+        appendStoppedNotice();
+      } else {
+        dropEmptyDraft();
+        failedConvoRef.current = convo;
+        setMessages((prev) => [...prev, describeError(error)]);
+        if (error instanceof OR.AuthError) setIsSettingsOpen(true);
+      }
+    } finally {
+      if (abortRef.current === controller) abortRef.current = null;
+      setLoading(false);
+      setAgentProgress(null);
+      setSpendSummary(summarizeLedger(await loadLedger()));
+    }
+  }
+
+  // Structured mode: one request without tools whose reply must match the
+  // chosen schema. Models that cannot enforce `response_format` get the
+  // schema as instructions instead; a reply that does not validate gets one
+  // repair pass.
+  async function runStructured(
+    startConvo: OR.ChatRequestMessage[],
+    modelOverride?: string
+  ) {
+    if (!client) return;
+    pendingConvoRef.current = null;
+    failedConvoRef.current = null;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const { signal } = controller;
+    setLoading(true);
+    const runThreadId = ensureThreadId();
+
+    try {
+      const preset = SCHEMA_PRESETS.find((p) => p.id === structuredPreset);
+      const format = responseFormatFor(
+        preset?.name || "custom",
+        recordSchema(structuredPreset, customSchema),
+        !!preset
+      );
+      const requested = modelOverride || model;
+      const selectedModel =
+        !requested || requested === "auto"
+          ? await resolveAutoModel(startConvo, false)
+          : requested;
+      const modelInfo = models.find((m) => m.id === selectedModel);
+      const native = supportsStructuredOutputs(modelInfo);
+      const system = await buildSystemMessage(selectedModel, []);
+      const { params } = validateParams(
+        { ...threadSettings.params, reasoningExclude: true },
+        modelInfo
+      );
+      const convo = [
+        ...(system ? [system] : []),
+        ...startConvo,
+        ...(native
+          ? []
+          : [{ role: "system", content: schemaInstructions(format) }]),
+      ];
+      if (!(await allowSpend(convo, selectedModel, { warned: false }))) {
+        return;
+      }
+      setAgentProgress({ step: 1, budget: 1, running: [] });
+      const totals = { cost: 0, promptTokens: 0, completionTokens: 0 };
+      const ask = async (request: OR.ChatRequestMessage[]) => {
+        const result = await client.chat(selectedModel, request, null, {
+          signal,
+          routing,
+          params,
+          responseFormat: native ? format : undefined,
+        });
+        const spent = await chargeRequest(result, selectedModel, runThreadId);
+        totals.cost += spent.cost;
+        totals.promptTokens += spent.promptTokens;
+        totals.completionTokens += spent.completionTokens;
+        setLastPromptTokens(spent.promptTokens);
+        setLastCompletionTokens(spent.completionTokens);
+        return result;
+      };
+
+      let result = await ask(convo);
+      let reply = String(result?.choices?.[0]?.message?.content || "");
+      let checked = checkReply(reply, format);
+      if (checked.errors.length > 0 && !signal.aborted) {
+        setAgentProgress({ step: 1, budget: 1, running: ["repair JSON"] });
+        result = await ask(repairMessages(format, reply, checked.errors));
+        const repaired = String(result?.choices?.[0]?.message?.content || "");
+        const rechecked = checkReply(repaired, format);
+        // Keep the repair only when it is at least as good
+        if (
+          rechecked.data &&
+          (!checked.data || rechecked.errors.length <= checked.errors.length)
+        ) {
+          reply = repaired;
+          checked = rechecked;
+        }
       }
-    } catch (error: any) {
       setMessages((prev) => [
         ...prev,
         {
           role: "assistant",
-          content: `Error: ${error?.message || String(error)}`,
+          content: checked.data
+            ? "```json\n" + JSON.stringify(checked.data, null, 2) + "\n```"
+            : reply,
+          response: {
+            model: result?.model || selectedModel,
+            provider: result?.provider || undefined,
+            ...totals,
+          },
+          structured: {
+            schema: preset?.name || "Custom",
+            data: checked.data,
+            errors: checked.errors,
+          },
         },
       ]);
+      await refreshCredits();
+    } catch (error: any) {
+      if (signal.aborted || error?.name === "AbortError") {
+        appendStoppedNotice();
+      } else {
+        failedConvoRef.current = startConvo;
+        setMessages((prev) => [...prev, describeError(error)]);
+        if (error instanceof OR.AuthError) setIsSettingsOpen(true);
+      }
+    } finally {
+      if (abortRef.current === controller) abortRef.current = null;
+      setLoading(false);
+      setAgentProgress(null);
+      setSpendSummary(summarizeLedger(await loadLedger()));
+    }
+  }
+
+  // Compare mode: stream the same conversation from every selected model at
+  // once, without tools. Columns fail independently.
+  async function runComparison(
+    startConvo: OR.ChatRequestMessage[],
+    index: number
+  ) {
+    if (!client) return;
+    pendingConvoRef.current = null;
+    failedConvoRef.current = null;
+    const targets = compareModels;
+    const spendCheck = { warned: false };
+    for (const id of targets) {
+      if (!(await allowSpend(startConvo, id, spendCheck))) return;
+    }
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const { signal } = controller;
+    setLoading(true);
+    const runThreadId = ensureThreadId();
+    const started = Date.now();
+    const patchColumn = (
+      i: number,
+      patch: (c: CompareColumn) => Partial<CompareColumn>
+    ) =>
+      setComparison((prev) =>
+        prev
+          ? {
+              ...prev,
+              columns: prev.columns.map((c, j) =>
+                j === i ? { ...c, ...patch(c) } : c
+              ),
+            }
+          : prev
+      );
+    setComparison({
+      index,
+      columns: targets.map((id) => ({
+        model: id,
+        content: "",
+        reasoning: "",
+        status: "streaming",
+      })),
+    });
+
+    try {
+      await Promise.all(
+        targets.map(async (id, i) => {
+          try {
+            const system = await buildSystemMessage(id, []);
+            const { params } = validateParams(
+              { ...threadSettings.params, ...reasoningParams(reasoningMode) },
+              models.find((m) => m.id === id)
+            );
+            const streamed = await client.chatWithStreaming(
+              id,
+              system ? [system, ...startConvo] : startConvo,
+              null,
+              (choice: any) => {
+                const thinking = choice?.delta?.reasoning;
+                const text = choice?.delta?.content || "";
+                if (!text && typeof thinking !== "string") return;
+                patchColumn(i, (c) => ({
+                  content: c.content + text,
+                  reasoning:
+                    c.reasoning +
+                    (typeof thinking === "string" ? thinking : ""),
+                  firstTokenMs: c.firstTokenMs ?? Date.now() - started,
+                }));
+              },
+              { signal, routing, params }
+            );
+            const spent = await chargeRequest(streamed, id, runThreadId);
+            patchColumn(i, (c) => ({
+              content: streamed.message?.content || c.content,
+              status: "done",
+              latencyMs: Date.now() - started,
+              reasoningTokens: reasoningTokens(streamed.usage),
+              response: {
+                model: spent.model,
+                provider: streamed.provider || undefined,
+                cost: spent.cost,
+                promptTokens: spent.promptTokens,
+                completionTokens: spent.completionTokens,
+              },
+            }));
+          } catch (error: any) {
+            const cancelled = signal.aborted || error?.name === "AbortError";
+            patchColumn(i, () => ({
+              status: cancelled ? "cancelled" : "error",
+              error: cancelled
+                ? "Stopped by user."
+                : describeError(error).content,
+              latencyMs: Date.now() - started,
+            }));
+          }
+        })
+      );
+      await refreshCredits();
     } finally {
+      if (abortRef.current === controller) abortRef.current = null;
       setLoading(false);
+      setSpendSummary(summarizeLedger(await loadLedger()));
+    }
+  }
+
+  // Keep one compared answer as the reply; the other finished answers
+  // become branches of the same turn
+  function keepComparedAnswer(column: number) {
+    if (!comparison) return;
+    const finished = comparison.columns.filter(
+      (c) => c.status === "done" && c.content
+    );
+    const chosen = finished.indexOf(comparison.columns[column]);
+    if (chosen < 0) return;
+    const { index } = comparison;
+    setMessages((prev) =>
+      prev[index]
+        ? [
+            ...prev.slice(0, index),
+            ...branchAnswers(prev[index], finished.map(columnMessage), chosen),
+          ]
+        : prev
+    );
+    setComparison(null);
+  }
+
+  // Drop the compared turn and put its prompt back in the input
+  function discardComparison() {
+    if (!comparison) return;
+    const prompt = messages[comparison.index];
+    setMessages((prev) => prev.slice(0, comparison.index));
+    if (prompt?.role === "user") setInput(prompt.content);
+    setComparison(null);
+  }
+
+  function toggleCompareTarget(id: string) {
+    const next = toggleCompareModel(compareModels, id);
+    setCompareModels(next);
+    saveCompareModels(next).catch(() => {});
+  }
+
+  // Credits are an OpenRouter balance; endpoint-only setups have none
+  async function refreshCredits() {
+    if (!client || !hasKey) return;
+    try {
+      const credits = await client.getCredits();
+      setRemainingCredits(credits.remaining);
+    } catch (error) {
+      console.warn("Openrouter Panel: Failed to refresh credits", error);
+    }
+  }
+
+  function describeError(error: any): ChatMessage {
+    const detail = error?.message || String(error);
+    if (error instanceof OR.AuthError) {
+      return {
+        role: "assistant",
+        content:
+          "OpenRouter rejected the API key. Check it in Settings and try again.",
+        error: { kind: "auth", detail },
+      };
+    }
+    if (error instanceof OR.InsufficientCreditsError) {
+      return {
+        role: "assistant",
+        content:
+          "Your OpenRouter account is out of credits for this request. Add credits, or pick a cheaper or free model.",
+        error: { kind: "credits", detail },
+      };
+    }
+    if (error instanceof OR.RateLimitError) {
+      const wait = error.retryAfterMs
+        ? ` Try again in ${Math.ceil(error.retryAfterMs / 1000)}s.`
+        : " Wait a moment and retry.";
+      return {
+        role: "assistant",
+        content: `Rate limited by OpenRouter.${wait}`,
+        error: { kind: "rate_limit", detail },
+      };
+    }
+    if (error instanceof OR.ModerationError) {
+      const reasons = error.reasons.length
+        ? ` (${error.reasons.join(", ")})`
+        : "";
+      return {
+        role: "assistant",
+        content: `The request was flagged by the provider's moderation${reasons}. Rephrase it or choose another model.`,
+        error: { kind: "moderation", detail },
+      };
+    }
+    if (error instanceof OR.ContextLengthError) {
+      return {
+        role: "assistant",
+        content:
+          "The conversation is longer than this model's context window.",
+        error: { kind: "context_length", detail },
+      };
+    }
+    if (error instanceof NoModelError) {
+      return {
+        role: "assistant",
+        content: detail,
+        error: { kind: "no_model", detail },
+      };
+    }
+    if (error instanceof OR.ProviderError) {
+      return {
+        role: "assistant",
+        content: `The model provider failed after several retries: ${detail}`,
+        error: { kind: "provider", detail },
+      };
+    }
+    return {
+      role: "assistant",
+      content: `Error: ${detail}`,
+      error: { kind: "unknown", detail },
+    };
+  }
+
+  // Re-run the failed conversation, optionally trimmed to fit the context window
+  async function retryFailedRun(trim: boolean) {
+    const convo: OR.ChatRequestMessage[] =
+      failedConvoRef.current ?? toRequestMessages(messages);
+    setMessages((prev) =>
+      prev[prev.length - 1]?.error ? prev.slice(0, -1) : prev
+    );
+    const next = trim ? trimConversation(convo) : convo;
+    if (structuredMode) await runStructured(next);
+    else await runAgent(next);
+  }
+
+  function renderErrorAction(kind: NonNullable<ChatMessage["error"]>["kind"]) {
+    switch (kind) {
+      case "auth":
+      case "budget":
+        return (
+          <Button
+            size="sm"
+            variant="secondary"
+            onClick={() => setIsSettingsOpen(true)}
+          >
+            Open settings
+          </Button>
+        );
+      case "credits":
+        return (
+          <Button size="sm" variant="secondary" asChild>
+            <a
+              href="https://openrouter.ai/settings/credits"
+              target="_blank"
+              rel="noreferrer"
+            >
+              Add credits
+            </a>
+          </Button>
+        );
+      case "no_model":
+        return (
+          <Button
+            size="sm"
+            variant="secondary"
+            onClick={() => setIsModelPickerOpen(true)}
+          >
+            Choose model
+          </Button>
+        );
+      case "context_length":
+        return (
+          <Button
+            size="sm"
+            variant="secondary"
+            onClick={() => retryFailedRun(true)}
+          >
+            Trim context and retry
+          </Button>
+        );
+      case "rate_limit":
+      case "provider":
+        return (
+          <Button
+            size="sm"
+            variant="secondary"
+            onClick={() => retryFailedRun(false)}
+          >
+            Retry
+          </Button>
+        );
+      default:
+        return null;
     }
   }
 
+  function appendStoppedNotice() {
+    setMessages((prev) => [
+      ...prev,
+      {
+        role: "assistant",
+        content: "Stopped by user.",
+        stopReason: "cancelled",
+      },
+    ]);
+  }
+
+  // Abort the in-flight request and end any background polling loops
+  function stopGeneration() {
+    abortRef.current?.abort();
+    chrome.runtime
+      .sendMessage({ action: "cancel_automation" })
+      .catch(() => {});
+  }
+
   // --- Speech to Text ---
   function isWebSpeechSupported(): boolean {
     return (
@@ -929,6 +2736,13 @@ function App() {
           text: params.text,
           tabId: await ensureTabId(params.tabId),
         });
+      case "search_tabs":
+        return await chrome.runtime.sendMessage({
+          action: "search_tabs",
+          query: params.query,
+          limit: params.limit,
+          tabIds: params.tabIds,
+        });
       case "get_page_content":
         return await chrome.runtime.sendMessage({
           action: "get_page_content",
@@ -1055,14 +2869,36 @@ function App() {
                 className="h-8 w-auto"
               />
             </CardTitle>
-            <Button
-              variant="ghost"
-              size="sm"
-              onClick={() => setIsSettingsOpen(true)}
-              className="h-8 w-8 p-0"
-            >
-              <Settings className="h-4 w-4" />
-            </Button>
+            <div className="flex items-center gap-1">
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={startNewThread}
+                disabled={loading}
+                className="h-8 w-8 p-0"
+                title="New chat"
+              >
+                <Plus className="h-4 w-4" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => setIsThreadsOpen(true)}
+                disabled={loading}
+                className="h-8 w-8 p-0"
+                title="Conversations"
+              >
+                <MessagesSquare className="h-4 w-4" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => setIsSettingsOpen(true)}
+                className="h-8 w-8 p-0"
+              >
+                <Settings className="h-4 w-4" />
+              </Button>
+            </div>
           </div>
         </CardHeader>
       </Card>
@@ -1070,57 +2906,180 @@ function App() {
       {/* Context summary removed to keep all actions/responses inside chat */}
 
       {/* Chat */}
-      <div className="flex-1 flex flex-col p-4 space-y-4 overflow-hidden">
+      <div
+        className="flex-1 flex flex-col p-4 space-y-4 overflow-hidden"
+        onDragOver={(e) => {
+          if (e.dataTransfer.types.includes("Files")) e.preventDefault();
+        }}
+        onDrop={(e) => {
+          if (e.dataTransfer.files.length === 0) return;
+          e.preventDefault();
+          addAttachments(e.dataTransfer.files);
+        }}
+      >
         <div ref={listRef} className="flex-1 overflow-y-auto space-y-3 pr-1">
-          {messages.map((m, idx) => (
-            <Card
-              key={idx}
-              className={
-                m.role === "assistant"
-                  ? "ml-auto bg-muted"
-                  : "bg-primary/5 border-primary/20 max-w-[85%]"
-              }
-            >
-              <CardContent className="p-3">
-                {m.automation?.isAutomation ? (
-                  <div className="space-y-2">
+          {messages.map((m, idx) =>
+            // A turn that only carried hidden reasoning has nothing to show
+            m.reasoning && !m.content && reasoningMode !== "show" ? null : (
+              <Card
+                key={idx}
+                className={cn(
+                  m.summary
+                    ? "border-dashed"
+                    : m.role === "assistant"
+                    ? "ml-auto bg-muted"
+                    : "bg-primary/5 border-primary/20 max-w-[85%]",
+                  m.summarized && "opacity-50"
+                )}
+                title={
+                  m.summarized
+                    ? "Summarized: no longer sent to the model"
+                    : undefined
+                }
+              >
+                <CardContent className="p-3">
+                  {m.summary ? (
+                    <SummaryBlock message={m} />
+                  ) : m.automation?.isAutomation ? (
+                    <ToolStep message={m} />
+                  ) : m.error ? (
+                    <div className="space-y-2 text-sm">
+                      <div className="flex items-start gap-2">
+                        <AlertTriangle className="h-4 w-4 text-red-600 mt-0.5 shrink-0" />
+                        <span
+                          className="whitespace-pre-wrap break-words"
+                          title={m.error.detail}
+                        >
+                          {m.content}
+                        </span>
+                      </div>
+                      {idx === messages.length - 1 &&
+                        !loading &&
+                        renderErrorAction(m.error.kind)}
+                    </div>
+                  ) : m.stopReason === "cancelled" ? (
                     <div className="flex items-start gap-2 text-sm">
-                      {m.automation?.success === true ? (
-                        <CheckCircle2 className="h-4 w-4 text-green-600 mt-0.5" />
-                      ) : m.automation?.success === false ? (
-                        <XCircle className="h-4 w-4 text-red-600 mt-0.5" />
+                      <Square className="h-4 w-4 text-muted-foreground mt-0.5 shrink-0" />
+                      <span>{m.content}</span>
+                    </div>
+                  ) : m.stopReason === "step_budget" ? (
+                    <div className="space-y-2 text-sm">
+                      <div className="flex items-start gap-2">
+                        <PauseCircle className="h-4 w-4 text-amber-600 mt-0.5 shrink-0" />
+                        <span>{m.content}</span>
+                      </div>
+                      {idx === messages.length - 1 && !loading && (
+                        <Button
+                          size="sm"
+                          variant="secondary"
+                          onClick={continueAgent}
+                        >
+                          Continue ({stepBudget} more steps)
+                        </Button>
+                      )}
+                    </div>
+                  ) : editing?.index === idx ? (
+                    <MessageEditor
+                      initial={editing.text}
+                      onSubmit={(text) => resendEdited(idx, text)}
+                      onCancel={() => setEditing(null)}
+                    />
+                  ) : (
+                    <div className="text-sm prose prose-sm max-w-none dark:prose-invert">
+                      {m.context?.length ? (
+                        <div className="not-prose mb-2">
+                          <SentContext items={m.context} />
+                        </div>
+                      ) : null}
+                      {m.attachments?.length ? (
+                        <div className="not-prose mb-2">
+                          <AttachmentList attachments={m.attachments} />
+                        </div>
+                      ) : null}
+                      {m.reasoning && reasoningMode === "show" && (
+                        <ReasoningBlock
+                          reasoning={m.reasoning}
+                          streaming={loading && idx === messages.length - 1}
+                        />
+                      )}
+                      {m.structured?.data ? (
+                        <StructuredResult message={m} />
                       ) : (
-                        <Info className="h-4 w-4 text-blue-600 mt-0.5" />
+                        <ReactMarkdown
+                          remarkPlugins={[remarkGfm]}
+                          components={{ a: MarkdownLink }}
+                        >
+                          {m.content}
+                        </ReactMarkdown>
+                      )}
+                      {m.response?.model && (
+                        <div className="not-prose mt-2 text-xs text-muted-foreground">
+                          {m.response.model}
+                          {m.response.provider
+                            ? ` · via ${m.response.provider}`
+                            : ""}
+                          {m.response.cost != null
+                            ? ` · ${formatUsd(m.response.cost)}`
+                            : ""}
+                          {m.response.promptTokens || m.response.completionTokens
+                            ? ` · ${m.response.promptTokens || 0} in / ${
+                                m.response.completionTokens || 0
+                              } out`
+                            : ""}
+                          {m.reasoning?.tokens
+                            ? ` · ${m.reasoning.tokens} reasoning`
+                            : ""}
+                        </div>
                       )}
-                      <span className="whitespace-pre-wrap break-words">
-                        {m.content}
-                      </span>
+                      <MessageActions
+                        message={m}
+                        disabled={loading}
+                        onBranch={(target) => showBranch(idx, target)}
+                        onEdit={
+                          m.role === "user" && !m.summarized
+                            ? () => setEditing({ index: idx, text: m.content })
+                            : undefined
+                        }
+                        onRegenerate={
+                          isTurnEnd(idx)
+                            ? () => regenerate(idx)
+                            : undefined
+                        }
+                        onRegenerateWith={
+                          isTurnEnd(idx)
+                            ? () => setRegenerateIndex(idx)
+                            : undefined
+                        }
+                      />
                     </div>
-                    {debugMode && (
-                      <pre className="text-xs bg-background/50 border rounded p-2 overflow-auto max-h-48">
-                        {JSON.stringify(m.automation?.debug ?? {}, null, 2)}
-                      </pre>
-                    )}
-                  </div>
+                  )}
+                </CardContent>
+              </Card>
+            )
+          )}
+          {comparison && (
+            <CompareColumns
+              models={models}
+              columns={comparison.columns}
+              onKeep={keepComparedAnswer}
+              onDiscard={discardComparison}
+            />
+          )}
+          {loading && !comparison && (
+            <Card className="ml-auto bg-muted">
+              <CardContent className="p-3">
+                {agentProgress ? (
+                  <AgentProgressLine progress={agentProgress} />
                 ) : (
-                  <div className="text-sm prose prose-sm max-w-none dark:prose-invert">
-                    <ReactMarkdown remarkPlugins={[remarkGfm]}>
-                      {m.content}
-                    </ReactMarkdown>
+                  <div className="flex items-center gap-2 text-sm opacity-70">
+                    <Loader2 className="h-4 w-4 animate-spin" />
+                    <span>
+                      {compacting ? "Summarizing earlier turns" : "Thinking"}
+                    </span>
                   </div>
                 )}
               </CardContent>
             </Card>
-          ))}
-          {loading && (
-            <Card className="ml-auto bg-muted">
-              <CardContent className="p-3">
-                <div className="flex items-center gap-2 text-sm opacity-70">
-                  <Loader2 className="h-4 w-4 animate-spin" />
-                  <span>Thinking</span>
-                </div>
-              </CardContent>
-            </Card>
           )}
         </div>
 
@@ -1139,62 +3098,352 @@ function App() {
                   : ""}
               </span>
             ) : null}
+            {contextUsage.tokens > 0 ? (
+              <span
+                title="Estimated conversation size / prompt budget. Older turns are summarized near the limit."
+                className={
+                  contextUsage.tokens > contextUsage.budget * 0.75
+                    ? "text-amber-600"
+                    : undefined
+                }
+              >
+                ctx: ~{formatTokenCount(contextUsage.tokens)}/
+                {formatTokenCount(contextUsage.budget)}
+              </span>
+            ) : null}
+            {spendSummary && threadId && spendSummary.byThread[threadId] ? (
+              <span title="Spent in this conversation">
+                chat: {formatUsd(spendSummary.byThread[threadId])}
+              </span>
+            ) : null}
+            {spendSummary ? (
+              <span
+                title={
+                  spendBudget.daily != null
+                    ? `Daily budget ${formatUsd(spendBudget.daily)}`
+                    : "Spent today"
+                }
+              >
+                today: {formatUsd(spendSummary.today)}
+                {spendBudget.daily != null
+                  ? ` / ${formatUsd(spendBudget.daily)}`
+                  : ""}
+              </span>
+            ) : null}
             {remainingCredits != null ? (
               <span title="Remaining OpenRouter credits">
                 balance: ${remainingCredits.toFixed(2)}
               </span>
             ) : null}
           </div>
-          <div className="flex items-center gap-2">
-            <Select
+          <div className="flex flex-wrap items-center gap-2">
+            <ModelPicker
+              models={models}
               value={model}
-              onValueChange={(v) => {
-                setModel(v);
-                chrome.storage.local.set({ preferred_model: v });
+              prefs={modelPrefs}
+              onSelect={selectModel}
+              onToggleFavorite={toggleFavoriteModel}
+              required={requiredModalities(attachments)}
+              open={isModelPickerOpen}
+              onOpenChange={setIsModelPickerOpen}
+            />
+            <Button
+              variant={!stream ? "default" : "secondary"}
+              size="sm"
+              title="Tools stay available in both modes"
+              onClick={() => {
+                const nv = !stream;
+                setStream(nv);
+                chrome.storage.local.set({ stream_enabled: nv });
+              }}
+            >
+              {stream ? "Streaming" : "Buffered"}
+            </Button>
+            <Input
+              type="number"
+              min={1}
+              max={50}
+              className="w-16 h-8"
+              title="Max agent steps for this conversation"
+              value={stepBudget}
+              onChange={(e) => {
+                const v = Math.max(1, Math.min(50, Number(e.target.value) || 1));
+                setThreadSettings((prev) => ({ ...prev, stepBudget: v }));
               }}
+            />
+            <Select
+              value={threadSettings.personaId || "default"}
+              onValueChange={(v) =>
+                setThreadSettings((prev) => ({
+                  ...prev,
+                  personaId: v === "default" ? undefined : v,
+                }))
+              }
             >
-              <SelectTrigger className="w-60">
-                <SelectValue placeholder="Auto Select" />
+              <SelectTrigger
+                className="w-32 h-8"
+                title="Persona for this conversation"
+              >
+                <SelectValue />
               </SelectTrigger>
               <SelectContent>
-                <SelectItem value="auto">Auto Select</SelectItem>
-                {models.map((m) => (
-                  <SelectItem key={uiModelLabel(m)} value={uiModelLabel(m)}>
-                    {uiModelLabel(m)}
+                <SelectItem value="default">Default persona</SelectItem>
+                <SelectItem value="none">No system prompt</SelectItem>
+                {personaStore.personas.map((p) => (
+                  <SelectItem key={p.id} value={p.id}>
+                    {p.name}
                   </SelectItem>
                 ))}
               </SelectContent>
             </Select>
             <Button
-              variant={!stream ? "default" : "secondary"}
+              variant={isParamsOpen ? "default" : "secondary"}
               size="sm"
-              onClick={() => {
-                const nv = !stream;
-                setStream(nv);
-                chrome.storage.local.set({ stream_enabled: nv });
-              }}
+              className="h-8 w-8 p-0"
+              title="Generation parameters for this conversation"
+              onClick={() => setIsParamsOpen((v) => !v)}
+            >
+              <SlidersHorizontal className="h-4 w-4" />
+            </Button>
+            <Button
+              variant={tabSearchMode ? "default" : "secondary"}
+              size="sm"
+              className="h-8"
+              title="Answer from all open tabs, with citations"
+              onClick={() => setTabSearchMode((v) => !v)}
+            >
+              <Layers className="h-4 w-4" />
+              All tabs
+            </Button>
+            <Button
+              variant={structuredMode ? "default" : "secondary"}
+              size="sm"
+              className="h-8 w-8 p-0"
+              title="Structured output: reply as JSON matching a schema"
+              onClick={() => setStructuredMode((v) => !v)}
+            >
+              <Braces className="h-4 w-4" />
+            </Button>
+            <Button
+              variant={compareMode ? "default" : "secondary"}
+              size="sm"
+              className="h-8 w-8 p-0"
+              title="Compare: send each prompt to several models side by side"
+              onClick={() => setCompareMode((v) => !v)}
             >
-              {!stream ? "Agentic" : "Streaming"}
+              <Columns3 className="h-4 w-4" />
             </Button>
           </div>
 
+          {compareMode && (
+            <CompareModelBar
+              models={models}
+              value={compareModels}
+              prefs={modelPrefs}
+              onToggle={toggleCompareTarget}
+              onToggleFavorite={toggleFavoriteModel}
+            />
+          )}
+
+          {structuredMode && (
+            <StructuredPanel
+              preset={structuredPreset}
+              onPresetChange={setStructuredPreset}
+              customSchema={customSchema}
+              onCustomSchemaChange={(text) => {
+                setCustomSchema(text);
+                saveCustomSchema(text).catch(() => {});
+              }}
+              native={
+                model === "auto"
+                  ? null
+                  : supportsStructuredOutputs(
+                      models.find((m) => m.id === model)
+                    )
+              }
+              onClose={() => setStructuredMode(false)}
+            />
+          )}
+
+          {isParamsOpen && (
+            <ParamsPanel
+              value={threadSettings.params || {}}
+              onChange={(params) =>
+                setThreadSettings((prev) => ({ ...prev, params }))
+              }
+              model={
+                model === "auto"
+                  ? null
+                  : models.find((m) => m.id === model) || null
+              }
+              onClose={() => setIsParamsOpen(false)}
+            />
+          )}
+
+          <ContextChips
+            sources={[
+              ...(activeTabSource
+                ? [{ ...activeTabSource, enabled: activeTabEnabled }]
+                : []),
+              ...extraSources,
+            ]}
+            onToggle={toggleContextSource}
+            onRemove={removeContextSource}
+          />
+          {(attachments.length > 0 || attachError) && (
+            <div className="space-y-1">
+              <AttachmentList
+                attachments={attachments}
+                onRemove={(i) =>
+                  setAttachments((prev) => prev.filter((_, j) => j !== i))
+                }
+              />
+              {attachError && (
+                <div className="text-xs text-red-600 pl-1">{attachError}</div>
+              )}
+            </div>
+          )}
+          {commandNotice && (
+            <div className="text-xs text-muted-foreground pl-1">
+              {commandNotice}
+            </div>
+          )}
+
           <div className="relative w-full">
-            <Input
-              type="text"
+            <textarea
+              rows={Math.min(6, input.split("\n").length)}
               placeholder={
-                hasKey
-                  ? "Ask me anything..."
-                  : "Enter API key in settings to start"
+                !client
+                  ? "Enter an API key or add an endpoint in settings to start"
+                  : tabSearchMode
+                  ? "Ask across your open tabs..."
+                  : structuredMode
+                  ? "Describe what to extract from the page..."
+                  : "Ask me anything... (@ to add a tab, / for commands)"
               }
-              className="w-full pr-32 h-12"
+              className="block w-full min-h-12 resize-none rounded-md border border-input bg-transparent py-3 pl-3 pr-56 text-sm shadow-sm placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-1 focus-visible:ring-ring disabled:cursor-not-allowed disabled:opacity-50"
               value={input}
-              onChange={(e) => setInput(e.target.value)}
+              onChange={(e) => {
+                setInput(e.target.value);
+                if (!e.target.value.startsWith("/")) setCommandNotice("");
+              }}
+              onFocus={refreshSelection}
+              onPaste={(e) => {
+                if (e.clipboardData.files.length > 0) {
+                  e.preventDefault();
+                  addAttachments(e.clipboardData.files);
+                }
+              }}
               onKeyDown={(e) => {
-                if (e.key === "Enter" && !e.shiftKey) handleSend();
+                if (completingCommand && commandMatches.length > 0) {
+                  const n = commandMatches.length;
+                  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+                    e.preventDefault();
+                    setCommandIndex(
+                      (i) => (i + (e.key === "ArrowDown" ? 1 : n - 1)) % n
+                    );
+                    return;
+                  }
+                  const picked = commandMatches[Math.min(commandIndex, n - 1)];
+                  // Enter runs a complete argument-less command as typed
+                  if (
+                    e.key === "Tab" ||
+                    (e.key === "Enter" && input !== `/${picked.name}`)
+                  ) {
+                    e.preventDefault();
+                    pickCommand(picked);
+                    return;
+                  }
+                }
+                if (mentioning && mentionMatches.length > 0) {
+                  const n = mentionMatches.length;
+                  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+                    e.preventDefault();
+                    setMentionIndex(
+                      (i) => (i + (e.key === "ArrowDown" ? 1 : n - 1)) % n
+                    );
+                    return;
+                  }
+                  if (e.key === "Enter" || e.key === "Tab") {
+                    e.preventDefault();
+                    pickMentionTab(mentionMatches[Math.min(mentionIndex, n - 1)]);
+                    return;
+                  }
+                }
+                // Shift+Enter adds a line, as in multi-line templates
+                if (e.key === "Enter" && !e.shiftKey) {
+                  e.preventDefault();
+                  handleSend();
+                }
               }}
-              disabled={!hasKey || loading}
+              disabled={!client || loading}
             />
-            <div className="absolute right-2 top-1/2 -translate-y-1/2 flex space-x-1">
+            {completingCommand && (
+              <SlashCommandMenu
+                commands={commandMatches}
+                highlighted={commandIndex}
+                onPick={pickCommand}
+              />
+            )}
+            {commandHint?.args && <SlashCommandHint command={commandHint} />}
+            {isTemplateMenuOpen && (
+              <TemplateMenu
+                templates={templates}
+                onPick={(t) => insertTemplate(t)}
+                onClose={() => setIsTemplateMenuOpen(false)}
+              />
+            )}
+            {mentioning && (
+              <TabMentionMenu
+                tabs={mentionMatches}
+                highlighted={mentionIndex}
+                onPick={pickMentionTab}
+              />
+            )}
+            <div className="absolute right-2 bottom-2 flex space-x-1">
+              <input
+                ref={fileInputRef}
+                type="file"
+                multiple
+                accept={ATTACHMENT_ACCEPT}
+                className="hidden"
+                onChange={(e) => {
+                  if (e.target.files) addAttachments(e.target.files);
+                  e.target.value = "";
+                }}
+              />
+              <Button
+                variant="secondary"
+                size="sm"
+                className="h-8 w-8 p-0"
+                // Keep the menu's search focused so this click can close it
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => setIsTemplateMenuOpen((v) => !v)}
+                disabled={loading}
+                title="Insert a prompt template"
+              >
+                <BookText className="h-4 w-4" />
+              </Button>
+              <Button
+                variant="secondary"
+                size="sm"
+                className="h-8 w-8 p-0"
+                onClick={() => fileInputRef.current?.click()}
+                disabled={loading}
+                title="Attach images, PDFs or text files"
+              >
+                <Paperclip className="h-4 w-4" />
+              </Button>
+              <Button
+                variant="secondary"
+                size="sm"
+                className="h-8 w-8 p-0"
+                onClick={attachScreenshot}
+                disabled={loading}
+                title="Attach a screenshot of the visible tab"
+              >
+                <Camera className="h-4 w-4" />
+              </Button>
               <Button
                 variant={isRecording ? "destructive" : "secondary"}
                 size="sm"
@@ -1222,14 +3471,27 @@ function App() {
                   <Mic className="h-4 w-4" />
                 )}
               </Button>
-              <Button
-                size="sm"
-                onClick={handleSend}
-                disabled={!hasKey || loading}
-                className="h-8"
-              >
-                Send
-              </Button>
+              {loading ? (
+                <Button
+                  size="sm"
+                  variant="destructive"
+                  onClick={stopGeneration}
+                  className="h-8"
+                  title="Stop generation and automation"
+                >
+                  <Square className="h-4 w-4" />
+                  Stop
+                </Button>
+              ) : (
+                <Button
+                  size="sm"
+                  onClick={() => handleSend()}
+                  disabled={!client}
+                  className="h-8"
+                >
+                  Send
+                </Button>
+              )}
             </div>
           </div>
           {(isRecording || sttError) && (
@@ -1245,20 +3507,60 @@ function App() {
         </div>
       </div>
 
+      {isThreadsOpen && (
+        <ThreadList
+          threads={threads}
+          activeId={threadId}
+          onSelect={openThread}
+          onNew={startNewThread}
+          onRename={handleRenameThread}
+          onDelete={handleDeleteThread}
+          onExport={handleExportThread}
+          onImport={handleImportThread}
+          onClose={() => setIsThreadsOpen(false)}
+        />
+      )}
+
+      {regenerateIndex != null && (
+        <ModelPicker
+          models={models}
+          value={model}
+          prefs={modelPrefs}
+          onSelect={(id) => regenerate(regenerateIndex, id)}
+          onToggleFavorite={toggleFavoriteModel}
+          renderTrigger={() => null}
+          open
+          onOpenChange={(open) => !open && setRegenerateIndex(null)}
+        />
+      )}
+
+      {spendPrompt && (
+        <ConfirmDialog
+          title="Over budget"
+          message={spendPrompt.text}
+          confirmLabel="Send anyway"
+          onClose={(send) => {
+            spendPrompt.resolve(send);
+            setSpendPrompt(null);
+          }}
+        />
+      )}
+
       {/* Settings Modal (simple) */}
       {isSettingsOpen && (
         <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50">
-          <div className="bg-card border rounded-lg w-[520px] max-w-[90vw] p-4 space-y-3 shadow-lg">
+          <div className="bg-card border rounded-lg w-[520px] max-w-[90vw] max-h-[90vh] overflow-y-auto p-4 space-y-3 shadow-lg">
             <div className="text-lg font-semibold">Settings</div>
-            <div className="space-y-2">
-              <label className="text-sm">OpenRouter API Key</label>
-              <Input
-                type="password"
-                placeholder="sk-or-v1-..."
-                value={apiKey}
-                onChange={(e) => setApiKey(e.target.value)}
-              />
-            </div>
+            <AccountSettings
+              apiKey={apiKey}
+              onApiKeyChange={(key) => {
+                setApiKey(key);
+                setKeyNotice("");
+              }}
+              authInfo={authInfo}
+              onSignIn={handleSignIn}
+              onSignOut={handleSignOut}
+            />
             <div className="space-y-2">
               <div className="text-sm font-medium">Voice Input</div>
               <div className="grid grid-cols-2 gap-2">
@@ -1296,6 +3598,35 @@ function App() {
                 reliable.
               </div>
             </div>
+            <RoutingSettings value={routing} onChange={setRouting} />
+            <SpendingSettings
+              budget={spendBudget}
+              onChange={setSpendBudget}
+              summary={spendSummary}
+            />
+            <PersonaSettings value={personaStore} onChange={setPersonaStore} />
+            <TemplateSettings value={templates} onChange={setTemplates} />
+            <EndpointSettings value={endpoints} onChange={setEndpoints} />
+            <div className="space-y-2">
+              <div className="text-sm font-medium">Model Reasoning</div>
+              <Select
+                value={reasoningMode}
+                onValueChange={(v) => setReasoningMode(v as ReasoningMode)}
+              >
+                <SelectTrigger className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="show">
+                    Request and show in a thinking block
+                  </SelectItem>
+                  <SelectItem value="hide">Request but hide</SelectItem>
+                  <SelectItem value="exclude">
+                    Exclude from responses
+                  </SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
             <div className="space-y-2">
               <div className="text-sm font-medium">Automation Safety</div>
               <div className="flex items-center gap-2 text-sm">
@@ -1320,6 +3651,20 @@ function App() {
                     onChange={(e) => setAutomationWhitelist(e.target.value)}
                   />
                 </div>
+                <div>
+                  <label className="text-sm">Default agent steps</label>
+                  <Input
+                    type="number"
+                    min={1}
+                    max={50}
+                    value={defaultStepBudget}
+                    onChange={(e) =>
+                      setDefaultStepBudget(
+                        Math.max(1, Math.min(50, Number(e.target.value) || 1))
+                      )
+                    }
+                  />
+                </div>
                 <div>
                   <label className="text-sm">Rate limit per 30s</label>
                   <Input
@@ -1349,13 +3694,21 @@ function App() {
               </div>
             </div>
             <div className="flex items-center justify-end gap-2">
+              {keyNotice && (
+                <div className="flex-1 text-xs text-red-600">{keyNotice}</div>
+              )}
               <Button
                 variant="secondary"
-                onClick={() => setIsSettingsOpen(false)}
+                onClick={() => {
+                  setKeyNotice("");
+                  setIsSettingsOpen(false);
+                }}
               >
                 Cancel
               </Button>
-              <Button onClick={saveSettings}>Save</Button>
+              <Button disabled={checkingKey} onClick={saveSettings}>
+                {checkingKey ? "Checking key..." : "Save"}
+              </Button>
             </div>
           </div>
         </div>
@@ -1,25 +1,171 @@
 declare module "@/utils/openrouter-client.js" {
+  export type ToolCall = {
+    id: string;
+    type: "function";
+    function: { name: string; arguments: string };
+  };
+
+  export type ChatRequestMessage = {
+    role: string;
+    // Plain text, or content parts (text, image_url, file)
+    content: string | any[] | null;
+    name?: string;
+    tool_calls?: ToolCall[];
+    tool_call_id?: string;
+    reasoning_details?: any[];
+  };
+
+  export type ToolCallResult = {
+    toolCall: ToolCall;
+    args: Record<string, any>;
+    result: any;
+    durationMs: number;
+  };
+
+  // Sent as `response_format: {type: "json_schema", json_schema}`
+  export type ResponseFormat = {
+    name?: string;
+    schema: Record<string, any>;
+    // Ask the provider to enforce the schema exactly; off unless set
+    strict?: boolean;
+  };
+
+  export type GenerationParams = {
+    temperature?: number;
+    topP?: number;
+    maxTokens?: number;
+    frequencyPenalty?: number;
+    presencePenalty?: number;
+    seed?: number;
+    stop?: string[];
+    reasoningEffort?: "low" | "medium" | "high";
+    // Turn reasoning on for models where it is opt-in
+    reasoningInclude?: boolean;
+    // Ask for reasoning to be left out of the response
+    reasoningExclude?: boolean;
+  };
+
+  export type ModelPreference = "cost" | "balanced" | "quality";
+
+  export type ModelRequirements = {
+    needsTools?: boolean;
+    needsVision?: boolean;
+    promptTokens?: number;
+    outputTokens?: number;
+    preference?: ModelPreference;
+  };
+
+  export type RoutingPreferences = {
+    fallbackModels?: string[];
+    // How "Auto Select" resolves: OpenRouter's auto router, or a local
+    // capability-based pick
+    auto?: { mode: "openrouter" | "local"; preference: ModelPreference };
+    provider?: {
+      order?: string[];
+      ignore?: string[];
+      allowFallbacks?: boolean;
+      dataCollection?: "allow" | "deny";
+      sort?: "price" | "throughput" | "latency";
+    };
+  };
+
+  // An OpenAI-compatible server besides OpenRouter. Its models are listed as
+  // "<id>::<model>" and requests for those ids go to `baseUrl`.
+  export type CustomEndpoint = {
+    id: string;
+    name: string;
+    baseUrl: string;
+    apiKey?: string;
+    // Defaults to "Authorization"
+    authHeader?: string;
+    // Put before the key; defaults to "Bearer" for the Authorization header
+    // and none for others
+    authScheme?: string;
+    // Defaults to "/models"
+    modelsPath?: string;
+  };
+
+  export class OpenRouterError extends Error {
+    status: number;
+    code: string | number | null;
+    body: any;
+    retryable: boolean;
+  }
+  export class AuthError extends OpenRouterError {}
+  export class InsufficientCreditsError extends OpenRouterError {}
+  export class RateLimitError extends OpenRouterError {
+    retryAfterMs: number | null;
+  }
+  export class ModerationError extends OpenRouterError {
+    reasons: string[];
+  }
+  export class ProviderError extends OpenRouterError {}
+  export class ContextLengthError extends OpenRouterError {}
+
   export class OpenRouterClient {
-    constructor(apiKey: string);
+    constructor(apiKey: string, options?: { endpoints?: CustomEndpoint[] });
+    isCustomModel(model: string): boolean;
     chat(
       model: string,
-      messages: Array<{ role: string; content: string; name?: string }>,
+      messages: ChatRequestMessage[],
       functions?: any[] | null,
-      options?: Record<string, any>
+      options?: Record<string, any> & {
+        signal?: AbortSignal;
+        maxRetries?: number;
+        routing?: RoutingPreferences;
+        params?: GenerationParams;
+        responseFormat?: ResponseFormat;
+      }
     ): Promise<any>;
     chatWithStreaming(
       model: string,
-      messages: Array<{ role: string; content: string; name?: string }>,
+      messages: ChatRequestMessage[],
       functions: any[] | null,
       onChunk: ((choice: any) => void) | null,
-      options?: Record<string, any> & { onUsage?: (usage: any) => void }
-    ): Promise<void>;
+      options?: Record<string, any> & {
+        onUsage?: (usage: any) => void;
+        signal?: AbortSignal;
+        maxRetries?: number;
+        routing?: RoutingPreferences;
+        params?: GenerationParams;
+        responseFormat?: ResponseFormat;
+      }
+    ): Promise<{
+      message: {
+        role: "assistant";
+        content: string;
+        tool_calls?: any[];
+        reasoning?: string;
+        reasoning_details?: any[];
+      };
+      finish_reason: string | null;
+      model: string | null;
+      provider: string | null;
+      id: string | null;
+      usage: any;
+    }>;
+    normalizeToolCalls(message: any): ToolCall[];
+    buildAssistantToolCallMessage(
+      message: any,
+      toolCalls: ToolCall[]
+    ): ChatRequestMessage;
+    buildToolResultMessage(toolCall: ToolCall, result: any): ChatRequestMessage;
+    runToolCalls(
+      toolCalls: ToolCall[],
+      execute: (name: string, args: any, toolCall: ToolCall) => Promise<any>,
+      onResult?: ((entry: ToolCallResult) => void) | null
+    ): Promise<ToolCallResult[]>;
+    getGeneration(
+      id: string,
+      options?: { attempts?: number }
+    ): Promise<{ total_cost?: number; [key: string]: any } | null>;
     listModels(): Promise<any[]>;
+    listEndpointModels(endpoint: CustomEndpoint): Promise<any[]>;
     getModelInfo(modelId: string): Promise<any>;
     selectModelForTask(
       taskType: string,
-      context?: Record<string, any>
-    ): Promise<any>;
+      context?: ModelRequirements
+    ): Promise<any | null>;
     estimateCost(
       model: any,
       inputTokens: number,
@@ -30,7 +176,16 @@ declare module "@/utils/openrouter-client.js" {
       totalCost: number;
       currency: string;
     } | null;
+    getKeyInfo(): Promise<{
+      label?: string;
+      usage?: number;
+      limit?: number | null;
+      limit_remaining?: number | null;
+      is_free_tier?: boolean;
+      [key: string]: any;
+    }>;
     validateApiKey(): Promise<boolean>;
+    static exchangeAuthCode(code: string, codeVerifier: string): Promise<string>;
     getCredits(): Promise<{
       totalCredits: number;
       totalUsage: number;
@@ -38,7 +193,22 @@ declare module "@/utils/openrouter-client.js" {
     }>;
   }
 
+  // The error class for an HTTP status and OpenRouter error body
+  export function classifyError(
+    status: number,
+    errorBody: any,
+    retryAfterMs?: number | null
+  ): OpenRouterError;
+  // A Retry-After header (seconds or HTTP date) in milliseconds
+  export function parseRetryAfter(value: string | null): number | null;
+  // Fold streamed `tool_calls` fragments into `toolCalls`, in place
+  export function mergeToolCallDeltas(
+    toolCalls: ToolCall[],
+    deltas: any[]
+  ): void;
+
   export const AUTOMATION_FUNCTIONS: any[];
   export const TODO_FUNCTIONS: any[];
   export const SUMMARIZER_FUNCTIONS: any[];
+  export const TAB_SEARCH_FUNCTIONS: any[];
 }
@@ -1,21 +1,279 @@
 // OpenRouter API Client for Openrouter Panel
 
+// --- Typed API errors ---
+class OpenRouterError extends Error {
+  constructor(message, { status = 0, code = null, body = null } = {}) {
+    super(message);
+    this.name = "OpenRouterError";
+    this.status = status;
+    this.code = code;
+    this.body = body;
+    this.retryable = false;
+  }
+}
+
+class AuthError extends OpenRouterError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "AuthError";
+  }
+}
+
+class InsufficientCreditsError extends OpenRouterError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "InsufficientCreditsError";
+  }
+}
+
+class RateLimitError extends OpenRouterError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "RateLimitError";
+    this.retryable = true;
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+}
+
+class ModerationError extends OpenRouterError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "ModerationError";
+    this.reasons = details.reasons || [];
+  }
+}
+
+class ProviderError extends OpenRouterError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "ProviderError";
+    this.retryable = true;
+  }
+}
+
+class ContextLengthError extends OpenRouterError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "ContextLengthError";
+  }
+}
+
+const CONTEXT_LENGTH_PATTERN =
+  /context[ _-]?length|context window|maximum context|too many tokens|prompt is too long|reduce the length/i;
+
+// Map an HTTP status and OpenRouter error body ({ code, message, metadata })
+// to the matching error class
+function classifyError(status, errorBody, retryAfterMs = null) {
+  const message =
+    (typeof errorBody === "string" ? errorBody : errorBody?.message) ||
+    `OpenRouter API error: ${status}`;
+  const metadata = errorBody?.metadata || {};
+  const details = { status, code: errorBody?.code ?? status, body: errorBody };
+  if (status === 401) return new AuthError(message, details);
+  if (status === 402) return new InsufficientCreditsError(message, details);
+  if (status === 429) {
+    return new RateLimitError(message, { ...details, retryAfterMs });
+  }
+  if (status === 403) {
+    if (Array.isArray(metadata.reasons) || /moderat|flagged/i.test(message)) {
+      return new ModerationError(message, {
+        ...details,
+        reasons: metadata.reasons || [],
+      });
+    }
+    return new AuthError(message, details);
+  }
+  if (CONTEXT_LENGTH_PATTERN.test(`${message} ${errorBody?.code ?? ""}`)) {
+    return new ContextLengthError(message, details);
+  }
+  if (status === 408 || status >= 500) {
+    return new ProviderError(message, details);
+  }
+  return new OpenRouterError(message, details);
+}
+
+async function errorFromResponse(response) {
+  const text = await response.text().catch(() => "");
+  let body = text;
+  try {
+    body = JSON.parse(text)?.error || text;
+  } catch {
+    // keep the raw text
+  }
+  return classifyError(
+    response.status,
+    body,
+    parseRetryAfter(response.headers.get("Retry-After"))
+  );
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+// Longest server-requested wait worth sitting through; longer Retry-After
+// values are surfaced to the caller instead
+const MAX_RETRY_WAIT_MS = 30_000;
+
+// Full jitter: random delay up to an exponentially growing cap
+function backoffDelay(attempt, baseMs = 500, maxMs = 8000) {
+  return Math.random() * Math.min(maxMs, baseMs * 2 ** attempt);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("Aborted", "AbortError"));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(new DOMException("Aborted", "AbortError"));
+      },
+      { once: true }
+    );
+  });
+}
+
+// Joins a custom endpoint id and the model name that server knows, so models
+// from several servers can share one picker (e.g. "ollama::llama3.1")
+const ENDPOINT_SEPARATOR = "::";
+
+// Request fields a custom endpoint is assumed to accept when its model list
+// does not say
+const DEFAULT_ENDPOINT_PARAMETERS = [
+  "tools",
+  "tool_choice",
+  "temperature",
+  "top_p",
+  "max_tokens",
+  "stop",
+  "seed",
+  "frequency_penalty",
+  "presence_penalty",
+];
+
 class OpenRouterClient {
-  constructor(apiKey) {
+  // `endpoints` are extra OpenAI-compatible servers (Ollama, LM Studio,
+  // vLLM...): `{id, name, baseUrl, apiKey, authHeader, authScheme,
+  // modelsPath}`. Requests for their prefixed model ids go to that server.
+  constructor(apiKey, { endpoints = [] } = {}) {
     this.apiKey = apiKey;
     this.baseUrl = "https://openrouter.ai/api/v1";
     this.models = null;
+    this.endpoints = new Map(
+      endpoints
+        .filter((e) => e?.id && e?.baseUrl)
+        .map((e) => [e.id, { ...e, baseUrl: e.baseUrl.replace(/\/+$/, "") }])
+    );
+  }
+
+  // The custom endpoint serving `model` (null for OpenRouter) and the model
+  // name to send it
+  _route(model) {
+    const at =
+      typeof model === "string" ? model.indexOf(ENDPOINT_SEPARATOR) : -1;
+    const endpoint = at > 0 ? this.endpoints.get(model.slice(0, at)) : null;
+    return endpoint
+      ? { endpoint, model: model.slice(at + ENDPOINT_SEPARATOR.length) }
+      : { endpoint: null, model };
+  }
+
+  isCustomModel(model) {
+    return this._route(model).endpoint != null;
+  }
+
+  _headers(endpoint = null) {
+    if (!endpoint) {
+      return {
+        Authorization: `Bearer ${this.apiKey}`,
+        "Content-Type": "application/json",
+        "HTTP-Referer": chrome.runtime.getURL(""),
+        "X-Title": "Openrouter Panel",
+      };
+    }
+    // Local servers usually need no key. Authorization defaults to a Bearer
+    // key; other headers (e.g. "api-key") carry the raw key unless a scheme
+    // is set.
+    const headers = { "Content-Type": "application/json" };
+    if (endpoint.apiKey) {
+      const header = endpoint.authHeader || "Authorization";
+      const scheme =
+        endpoint.authScheme ||
+        (header.toLowerCase() === "authorization" ? "Bearer" : "");
+      headers[header] = scheme
+        ? `${scheme} ${endpoint.apiKey}`
+        : endpoint.apiKey;
+    }
+    return headers;
+  }
+
+  // Fetch with typed errors. Rate limits, provider failures and network errors
+  // are retried with jittered exponential backoff, honoring Retry-After.
+  async _request(
+    path,
+    init = {},
+    { signal, maxRetries = 2, endpoint = null } = {}
+  ) {
+    const baseUrl = endpoint ? endpoint.baseUrl : this.baseUrl;
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await fetch(`${baseUrl}${path}`, { ...init, signal });
+      } catch (error) {
+        if (error?.name === "AbortError" || attempt >= maxRetries) throw error;
+        await sleep(backoffDelay(attempt), signal);
+        continue;
+      }
+      if (response.ok) return response;
+      const error = await errorFromResponse(response);
+      if (!error.retryable || attempt >= maxRetries) throw error;
+      if (
+        error.retryAfterMs != null &&
+        error.retryAfterMs > MAX_RETRY_WAIT_MS
+      ) {
+        throw error;
+      }
+      await sleep(error.retryAfterMs ?? backoffDelay(attempt), signal);
+    }
   }
 
   async chat(model, messages, functions = null, options = {}) {
+    // Transport and client-side options stay out of the request body
+    const {
+      signal,
+      maxRetries,
+      routing,
+      params,
+      temperature,
+      maxTokens,
+      functionCall,
+      parallelToolCalls,
+      responseFormat,
+      onUsage,
+      ...requestOptions
+    } = options;
+    const route = this._route(model);
     const payload = {
-      model: model,
+      model: route.model,
       messages: messages,
-      temperature: options.temperature || 0.7,
-      max_tokens: options.maxTokens || 1000,
+      ...buildGenerationParams(
+        { temperature, maxTokens, ...params },
+        { openRouter: !route.endpoint }
+      ),
+      ...buildResponseFormat(responseFormat),
       // Ask OpenRouter to include usage in the response if supported
-      usage: { include: true },
-      ...options,
+      ...(route.endpoint ? {} : { usage: { include: true } }),
+      ...requestOptions,
+      ...(route.endpoint ? {} : buildRoutingPayload(model, routing)),
     };
 
     // Migrate deprecated functions to tools API
@@ -28,33 +286,34 @@ class OpenRouterClient {
           parameters: f.parameters,
         },
       }));
-      if (options.functionCall) {
-        payload.tool_choice =
-          options.functionCall === "auto"
-            ? "auto"
-            : { type: "function", function: { name: options.functionCall } };
-      } else {
-        payload.tool_choice = "auto";
-      }
+      payload.tool_choice = buildToolChoice(functionCall);
+      payload.parallel_tool_calls = parallelToolCalls !== false;
     }
 
-    const response = await fetch(`${this.baseUrl}/chat/completions`, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${this.apiKey}`,
-        "Content-Type": "application/json",
-        "HTTP-Referer": chrome.runtime.getURL(""),
-        "X-Title": "Openrouter Panel",
+    const response = await this._request(
+      "/chat/completions",
+      {
+        method: "POST",
+        headers: this._headers(route.endpoint),
+        body: JSON.stringify(payload),
       },
-      body: JSON.stringify(payload),
-    });
-
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`OpenRouter API error: ${response.status} - ${error}`);
-    }
+      { signal, maxRetries, endpoint: route.endpoint }
+    );
 
     const result = await response.json();
+    // Some providers report failures in a 200 body instead of the status code
+    if (result?.error && !result?.choices) {
+      throw classifyError(
+        Number(result.error.code) || response.status,
+        result.error
+      );
+    }
+    if (route.endpoint && result) {
+      result.model = endpointModelId(
+        route.endpoint,
+        result.model || route.model
+      );
+    }
     return result;
   }
 
@@ -65,15 +324,36 @@ class OpenRouterClient {
     onChunk = null,
     options = {}
   ) {
+    const {
+      signal,
+      maxRetries,
+      routing,
+      params,
+      temperature,
+      maxTokens,
+      functionCall,
+      parallelToolCalls,
+      responseFormat,
+      onUsage,
+      ...requestOptions
+    } = options;
+    const route = this._route(model);
     const payload = {
-      model: model,
+      model: route.model,
       messages: messages,
-      temperature: options.temperature || 0.7,
-      max_tokens: options.maxTokens || 1000,
+      ...buildGenerationParams(
+        { temperature, maxTokens, ...params },
+        { openRouter: !route.endpoint }
+      ),
+      ...buildResponseFormat(responseFormat),
       stream: true,
-      // Ask OpenRouter to include usage in the final stream event if supported
-      usage: { include: true },
-      ...options,
+      // Ask for usage in the final stream event: OpenRouter's flag, or the
+      // OpenAI stream option other servers understand
+      ...(route.endpoint
+        ? { stream_options: { include_usage: true } }
+        : { usage: { include: true } }),
+      ...requestOptions,
+      ...(route.endpoint ? {} : buildRoutingPayload(model, routing)),
     };
 
     // Use tools API for streaming as well
@@ -86,30 +366,37 @@ class OpenRouterClient {
           parameters: f.parameters,
         },
       }));
-      payload.tool_choice = options.functionCall || "auto";
+      payload.tool_choice = buildToolChoice(functionCall);
+      payload.parallel_tool_calls = parallelToolCalls !== false;
     }
 
-    const response = await fetch(`${this.baseUrl}/chat/completions`, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${this.apiKey}`,
-        "Content-Type": "application/json",
-        "HTTP-Referer": chrome.runtime.getURL(""),
-        "X-Title": "Openrouter Panel",
+    const response = await this._request(
+      "/chat/completions",
+      {
+        method: "POST",
+        headers: this._headers(route.endpoint),
+        body: JSON.stringify(payload),
       },
-      body: JSON.stringify(payload),
-    });
-
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`OpenRouter API error: ${response.status} - ${error}`);
-    }
+      { signal, maxRetries, endpoint: route.endpoint }
+    );
 
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
     let buffer = "";
+    let finished = false;
+
+    // Assemble the full assistant turn so callers can run tool calls after the stream ends
+    const message = { role: "assistant", content: "" };
+    const toolCalls = [];
+    const reasoningDetails = [];
+    let finishReason = null;
+    // With fallbacks or routing, the model/provider that answered may differ
+    let answeredModel = null;
+    let answeredProvider = null;
+    let generationId = null;
+    let usage = null;
 
-    while (true) {
+    while (!finished) {
       const { done, value } = await reader.read();
       if (done) break;
 
@@ -120,44 +407,183 @@ class OpenRouterClient {
       for (const line of lines) {
         if (line.startsWith("data: ")) {
           const data = line.slice(6);
-          if (data === "[DONE]") return;
+          if (data === "[DONE]") {
+            finished = true;
+            break;
+          }
 
+          let chunk;
           try {
-            const chunk = JSON.parse(data);
-            // If the provider includes usage in any streamed frame, surface it via optional callback
-            const maybeUsage =
-              chunk?.usage || chunk?.response?.usage || chunk?.x_usage || null;
-            if (maybeUsage && typeof options.onUsage === "function") {
-              try {
-                options.onUsage(maybeUsage);
-              } catch (_) {}
+            chunk = JSON.parse(data);
+          } catch (e) {
+            // Ignore parsing errors for partial or non-JSON frames
+            continue;
+          }
+          // Errors after the stream has started arrive as an error frame
+          if (chunk?.error) {
+            throw classifyError(Number(chunk.error.code) || 500, chunk.error);
+          }
+          if (chunk.id) generationId = chunk.id;
+          if (chunk.model) answeredModel = chunk.model;
+          if (chunk.provider) answeredProvider = chunk.provider;
+          // If the provider includes usage in any streamed frame, surface it via optional callback
+          const maybeUsage =
+            chunk?.usage || chunk?.response?.usage || chunk?.x_usage || null;
+          if (maybeUsage) usage = maybeUsage;
+          if (maybeUsage && typeof onUsage === "function") {
+            try {
+              onUsage(maybeUsage);
+            } catch (_) {}
+          }
+          const choice = chunk.choices && chunk.choices[0];
+          if (choice) {
+            const delta = choice.delta || {};
+            if (typeof delta.content === "string") {
+              message.content += delta.content;
             }
-            if (onChunk && chunk.choices && chunk.choices[0]) {
-              onChunk(chunk.choices[0]);
+            // Thinking models stream their reasoning separately from the
+            // answer; vLLM and LM Studio call it `reasoning_content`
+            if (
+              typeof delta.reasoning !== "string" &&
+              typeof delta.reasoning_content === "string"
+            ) {
+              delta.reasoning = delta.reasoning_content;
             }
-          } catch (e) {
-            // Ignore parsing errors for now
+            if (typeof delta.reasoning === "string" && delta.reasoning) {
+              message.reasoning = (message.reasoning || "") + delta.reasoning;
+            }
+            if (Array.isArray(delta.reasoning_details)) {
+              mergeReasoningDetails(reasoningDetails, delta.reasoning_details);
+            }
+            if (Array.isArray(delta.tool_calls)) {
+              mergeToolCallDeltas(toolCalls, delta.tool_calls);
+            }
+            if (choice.finish_reason) finishReason = choice.finish_reason;
+            if (onChunk) onChunk(choice);
           }
         }
       }
     }
+
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls.filter(Boolean);
+    }
+    if (reasoningDetails.length > 0) {
+      message.reasoning_details = reasoningDetails.filter(Boolean);
+    }
+    if (route.endpoint) {
+      answeredModel = endpointModelId(
+        route.endpoint,
+        answeredModel || route.model
+      );
+      answeredProvider = answeredProvider || route.endpoint.name || null;
+    }
+    return {
+      message,
+      finish_reason: finishReason,
+      model: answeredModel,
+      provider: answeredProvider,
+      id: generationId,
+      usage,
+    };
+  }
+
+  // Normalize the tool calls of an assistant turn (tools API or legacy
+  // function_call) and make sure every call has an id to match results against
+  normalizeToolCalls(message) {
+    const raw = Array.isArray(message?.tool_calls)
+      ? message.tool_calls
+      : message?.function_call
+      ? [{ type: "function", function: message.function_call }]
+      : [];
+    return raw
+      .filter((call) => call?.function?.name)
+      .map((call) => ({
+        id: call.id || generateToolCallId(),
+        type: "function",
+        function: {
+          name: call.function.name,
+          arguments:
+            typeof call.function.arguments === "string"
+              ? call.function.arguments
+              : JSON.stringify(call.function.arguments ?? {}),
+        },
+      }));
+  }
+
+  // The assistant turn that requested tools must be echoed back with its
+  // tool_calls so each following tool message can reference a call id
+  buildAssistantToolCallMessage(message, toolCalls) {
+    const out = {
+      role: "assistant",
+      content: message?.content || null,
+      tool_calls: toolCalls,
+    };
+    // Some providers need their reasoning passed back to continue a tool loop
+    if (Array.isArray(message?.reasoning_details)) {
+      out.reasoning_details = message.reasoning_details;
+    }
+    return out;
+  }
+
+  buildToolResultMessage(toolCall, result) {
+    return {
+      role: "tool",
+      tool_call_id: toolCall.id,
+      name: toolCall.function.name,
+      content:
+        typeof result === "string" ? result : JSON.stringify(result ?? {}),
+    };
+  }
+
+  // Execute the tool calls of one turn. Consecutive read-only calls run
+  // concurrently; anything that touches tabs or storage runs in order.
+  // Results are returned in call order.
+  async runToolCalls(toolCalls, execute, onResult = null) {
+    const results = new Array(toolCalls.length);
+    let i = 0;
+    while (i < toolCalls.length) {
+      let j = i;
+      while (
+        j < toolCalls.length &&
+        PARALLEL_SAFE_TOOLS.has(toolCalls[j].function.name)
+      ) {
+        j++;
+      }
+      if (j === i) j = i + 1;
+      const batch = toolCalls.slice(i, j);
+      const offset = i;
+      await Promise.all(
+        batch.map(async (toolCall, k) => {
+          const args = parseToolArguments(toolCall);
+          const startedAt = Date.now();
+          let result;
+          try {
+            result = await execute(toolCall.function.name, args, toolCall);
+          } catch (error) {
+            result = { success: false, error: error?.message || String(error) };
+          }
+          const entry = {
+            toolCall,
+            args,
+            result,
+            durationMs: Date.now() - startedAt,
+          };
+          results[offset + k] = entry;
+          if (onResult) onResult(entry);
+        })
+      );
+      i = j;
+    }
+    return results;
   }
 
   // Fetch remaining credits and usage from OpenRouter
   async getCredits() {
-    const response = await fetch(`${this.baseUrl}/credits`, {
+    const response = await this._request("/credits", {
       method: "GET",
-      headers: {
-        Authorization: `Bearer ${this.apiKey}`,
-        "Content-Type": "application/json",
-        "HTTP-Referer": chrome.runtime.getURL(""),
-        "X-Title": "Openrouter Panel",
-      },
+      headers: this._headers(),
     });
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`OpenRouter API error: ${response.status} - ${error}`);
-    }
     const json = await response.json();
     // Return normalized shape
     const data = json?.data || {};
@@ -171,85 +597,150 @@ class OpenRouterClient {
     };
   }
 
+  // Generation stats (exact cost and native token counts) for a completion id.
+  // Stats can lag the response by a moment, so retry briefly on 404.
+  async getGeneration(id, { attempts = 3 } = {}) {
+    for (let i = 0; i < attempts; i++) {
+      try {
+        const response = await this._request(
+          `/generation?id=${encodeURIComponent(id)}`,
+          { method: "GET", headers: this._headers() },
+          { maxRetries: 0 }
+        );
+        const json = await response.json();
+        return json?.data || null;
+      } catch (error) {
+        if (error?.status !== 404 || i === attempts - 1) throw error;
+        await sleep(500 * (i + 1));
+      }
+    }
+    return null;
+  }
+
+  // OpenRouter's catalogue followed by every custom endpoint's models. An
+  // unreachable endpoint is skipped so a stopped local server does not hide
+  // the rest; OpenRouter failing only throws when there is nothing else.
   async listModels() {
     if (this.models) {
       return this.models;
     }
 
-    const response = await fetch(`${this.baseUrl}/models`, {
-      headers: {
-        Authorization: `Bearer ${this.apiKey}`,
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch models: ${response.status}`);
+    const endpoints = [...this.endpoints.values()];
+    const [openRouter, ...custom] = await Promise.allSettled([
+      this._request("/models", {
+        headers: {
+          Authorization: `Bearer ${this.apiKey}`,
+        },
+      }).then((response) => response.json()),
+      ...endpoints.map((e) => this.listEndpointModels(e)),
+    ]);
+    if (openRouter.status === "rejected" && endpoints.length === 0) {
+      throw openRouter.reason;
     }
-
-    const result = await response.json();
-    this.models = result.data;
+    const models =
+      openRouter.status === "fulfilled" ? openRouter.value?.data || [] : [];
+    custom.forEach((r, i) => {
+      if (r.status === "fulfilled") models.push(...r.value);
+      else {
+        console.warn(
+          `Openrouter Panel: Models of ${endpoints[i].name || endpoints[i].id} unavailable`,
+          r.reason
+        );
+      }
+    });
+    this.models = models;
     return this.models;
   }
 
+  // Models of one custom endpoint, shaped like OpenRouter catalogue entries
+  // with ids prefixed by the endpoint id. Accepts the OpenAI `{data}` list
+  // and Ollama's native `{models}` list.
+  async listEndpointModels(endpoint) {
+    const target = this.endpoints.get(endpoint.id) || endpoint;
+    const response = await this._request(
+      target.modelsPath || "/models",
+      { method: "GET", headers: this._headers(target) },
+      { endpoint: target, maxRetries: 0 }
+    );
+    const json = await response.json();
+    const list = Array.isArray(json?.data)
+      ? json.data
+      : Array.isArray(json?.models)
+      ? json.models
+      : Array.isArray(json)
+      ? json
+      : [];
+    return list
+      .map((m) => (typeof m === "string" ? { id: m } : m))
+      .filter((m) => m && (m.id || m.name))
+      .map((m) => {
+        const name = m.id || m.name;
+        return {
+          ...m,
+          id: endpointModelId(target, name),
+          name: `${m.name || name} (${target.name || target.id})`,
+          endpoint: target.id,
+          context_length: m.context_length || m.max_model_len || undefined,
+          supported_parameters:
+            m.supported_parameters || DEFAULT_ENDPOINT_PARAMETERS,
+        };
+      });
+  }
+
   async getModelInfo(modelId) {
     const models = await this.listModels();
     return models.find((model) => model.id === modelId);
   }
 
-  // Intelligent model selection based on task requirements
+  // Pick a model from `/models` metadata rather than a fixed list of IDs.
+  // Hard requirements (tools, image input, context length) filter the
+  // catalogue; the cost/quality preference then picks a price tier among
+  // current models. Returns null when nothing satisfies the requirements.
+  //
+  // context: { needsTools, needsVision, promptTokens, outputTokens, preference }
   async selectModelForTask(taskType, context = {}) {
     const models = await this.listModels();
+    const preference =
+      context.preference || TASK_PREFERENCES[taskType] || "balanced";
+    const minContext =
+      Math.ceil((context.promptTokens || 0) * 1.1) +
+      (context.outputTokens || 1024);
 
-    // Define model preferences based on task type
-    const modelPreferences = {
-      coding: [
-        "anthropic/claude-3-opus",
-        "openai/gpt-4",
-        "anthropic/claude-3-sonnet",
-      ],
-      analysis: [
-        "anthropic/claude-3-opus",
-        "openai/gpt-4-turbo",
-        "anthropic/claude-3-sonnet",
-      ],
-      creative: [
-        "anthropic/claude-3-sonnet",
-        "openai/gpt-4",
-        "anthropic/claude-3-haiku",
-      ],
-      quick: [
-        "anthropic/claude-3-haiku",
-        "openai/gpt-3.5-turbo",
-        "meta-llama/llama-2-70b-chat",
-      ],
-      automation: [
-        "anthropic/claude-3-sonnet",
-        "openai/gpt-4",
-        "anthropic/claude-3-opus",
-      ],
-    };
-
-    const preferences = modelPreferences[taskType] || modelPreferences["quick"];
-
-    // Find the first available preferred model
-    for (const modelId of preferences) {
-      const model = models.find((m) => m.id === modelId);
-      if (model) {
-        return model;
+    const candidates = models.filter((m) => {
+      const price = blendedPrice(m);
+      if (price == null) return false;
+      if (context.needsTools && !modelSupports(m, "tools")) return false;
+      if (context.needsVision && !modelInputs(m).includes("image")) {
+        return false;
       }
-    }
+      if ((m.context_length || 0) < minContext) return false;
+      return true;
+    });
+    if (candidates.length === 0) return null;
+
+    // Ignore models more than a year older than the newest candidate so the
+    // cheap end is not dominated by retired generations
+    const newest = Math.max(...candidates.map((m) => m.created || 0));
+    const current = candidates.filter(
+      (m) => !newest || (m.created || 0) >= newest - YEAR_SECONDS
+    );
+    const pool = (current.length ? current : candidates).sort(
+      (a, b) =>
+        blendedPrice(a) - blendedPrice(b) || (b.created || 0) - (a.created || 0)
+    );
 
-    // Fallback to first available model
-    return models[0];
+    const tier = { cost: 0, balanced: 0.5, quality: 0.9 }[preference] ?? 0.5;
+    return pool[Math.min(pool.length - 1, Math.floor(tier * pool.length))];
   }
 
-  // Estimate cost for a request
+  // Estimate cost for a request. OpenRouter prices are USD per token, sent as
+  // decimal strings (e.g. "0.000003")
   estimateCost(model, inputTokens, outputTokens = 0) {
-    const pricing = model.pricing;
+    const pricing = model?.pricing;
     if (!pricing) return null;
 
-    const inputCost = (inputTokens * pricing.prompt) / 1000;
-    const outputCost = (outputTokens * pricing.completion) / 1000;
+    const inputCost = inputTokens * (Number(pricing.prompt) || 0);
+    const outputCost = outputTokens * (Number(pricing.completion) || 0);
 
     return {
       inputCost,
@@ -259,15 +750,253 @@ class OpenRouterClient {
     };
   }
 
-  // Validate API key
+  // Label, usage and limits of the API key. `/key` requires auth, unlike
+  // `/models`, so this is what tells a working key from a wrong one.
+  async getKeyInfo() {
+    const response = await this._request(
+      "/key",
+      { method: "GET", headers: this._headers() },
+      { maxRetries: 1 }
+    );
+    const json = await response.json();
+    return json?.data || {};
+  }
+
+  // False when OpenRouter rejects the key; network and server errors are
+  // thrown so they are not mistaken for a bad key
   async validateApiKey() {
     try {
-      await this.listModels();
+      await this.getKeyInfo();
       return true;
     } catch (error) {
-      return false;
+      if (error instanceof AuthError) return false;
+      throw error;
     }
   }
+
+  // Second half of OpenRouter's PKCE sign-in: trade the code from the auth
+  // redirect and the verifier behind its challenge for a user API key
+  static async exchangeAuthCode(code, codeVerifier) {
+    const client = new OpenRouterClient("");
+    const response = await client._request(
+      "/auth/keys",
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          code,
+          code_verifier: codeVerifier,
+          code_challenge_method: "S256",
+        }),
+      },
+      { maxRetries: 0 }
+    );
+    const json = await response.json();
+    if (typeof json?.key !== "string" || !json.key) {
+      throw new OpenRouterError("OpenRouter returned no API key", {
+        status: response.status,
+        body: json,
+      });
+    }
+    return json.key;
+  }
+}
+
+const YEAR_SECONDS = 365 * 24 * 60 * 60;
+
+// Default cost/quality preference per task type for selectModelForTask
+const TASK_PREFERENCES = {
+  coding: "quality",
+  analysis: "quality",
+  automation: "balanced",
+  creative: "balanced",
+  quick: "cost",
+};
+
+function modelSupports(model, parameter) {
+  const params = model?.supported_parameters;
+  return Array.isArray(params) && params.includes(parameter);
+}
+
+function modelInputs(model) {
+  const list = model?.architecture?.input_modalities;
+  if (Array.isArray(list)) return list;
+  const modality = model?.architecture?.modality;
+  return typeof modality === "string"
+    ? modality.split("->")[0].split("+")
+    : ["text"];
+}
+
+// Price of a typical request mix (3 prompt tokens per completion token), or
+// null for router entries with placeholder pricing. Custom endpoint models
+// rarely list a price and count as free.
+function blendedPrice(model) {
+  if (model?.endpoint && !model.pricing) return 0;
+  const prompt = Number(model?.pricing?.prompt);
+  const completion = Number(model?.pricing?.completion);
+  if (!Number.isFinite(prompt) || !Number.isFinite(completion)) return null;
+  if (prompt < 0 || completion < 0) return null;
+  return prompt * 3 + completion;
+}
+
+// The merged id of a model a custom endpoint serves
+function endpointModelId(endpoint, model) {
+  const prefix = `${endpoint.id}${ENDPOINT_SEPARATOR}`;
+  return String(model).startsWith(prefix) ? model : `${prefix}${model}`;
+}
+
+// "auto", "none", "required", or the name of a tool the model must call
+function buildToolChoice(functionCall) {
+  if (!functionCall) return "auto";
+  if (["auto", "none", "required"].includes(functionCall)) return functionCall;
+  return { type: "function", function: { name: functionCall } };
+}
+
+// `{name, schema, strict}` becomes a json_schema response format. Strict
+// mode is opt-in: it needs `additionalProperties: false` and every property
+// required, which hand-written schemas rarely have. Models without
+// structured output support reject it, so callers only pass it when the model
+// lists `structured_outputs` or `response_format`.
+function buildResponseFormat(responseFormat) {
+  if (!responseFormat?.schema) return {};
+  return {
+    response_format: {
+      type: "json_schema",
+      json_schema: {
+        name: responseFormat.name || "response",
+        strict: responseFormat.strict === true,
+        schema: responseFormat.schema,
+      },
+    },
+  };
+}
+
+// Translate generation parameters into request fields. Only values that are
+// actually set are sent, so 0 is a valid temperature and an unset max tokens
+// leaves the model's own limit in place. Other servers get the OpenAI
+// `reasoning_effort` field instead of OpenRouter's `reasoning` object.
+function buildGenerationParams(params = {}, { openRouter = true } = {}) {
+  const out = {};
+  const numeric = {
+    temperature: "temperature",
+    topP: "top_p",
+    maxTokens: "max_tokens",
+    frequencyPenalty: "frequency_penalty",
+    presencePenalty: "presence_penalty",
+    seed: "seed",
+  };
+  for (const [key, field] of Object.entries(numeric)) {
+    const value = params[key];
+    if (typeof value === "number" && Number.isFinite(value)) out[field] = value;
+  }
+  if (Array.isArray(params.stop) && params.stop.length > 0) {
+    out.stop = params.stop;
+  }
+  if (!openRouter) {
+    if (params.reasoningEffort) out.reasoning_effort = params.reasoningEffort;
+  } else if (
+    params.reasoningEffort ||
+    params.reasoningInclude ||
+    params.reasoningExclude
+  ) {
+    out.reasoning = {};
+    if (params.reasoningEffort) out.reasoning.effort = params.reasoningEffort;
+    else if (params.reasoningInclude) out.reasoning.enabled = true;
+    if (params.reasoningExclude) out.reasoning.exclude = true;
+  }
+  return out;
+}
+
+// Translate routing preferences into OpenRouter request fields: an ordered
+// `models` fallback list and a `provider` routing object
+function buildRoutingPayload(model, routing) {
+  if (!routing) return {};
+  const out = {};
+  const fallbacks = (routing.fallbackModels || []).filter(
+    (m) => m && m !== model
+  );
+  if (fallbacks.length > 0) out.models = [model, ...fallbacks];
+
+  const prefs = routing.provider || {};
+  const provider = {};
+  if (prefs.order?.length) provider.order = prefs.order;
+  if (prefs.ignore?.length) provider.ignore = prefs.ignore;
+  if (typeof prefs.allowFallbacks === "boolean") {
+    provider.allow_fallbacks = prefs.allowFallbacks;
+  }
+  if (prefs.dataCollection === "allow" || prefs.dataCollection === "deny") {
+    provider.data_collection = prefs.dataCollection;
+  }
+  if (prefs.sort) provider.sort = prefs.sort;
+  if (Object.keys(provider).length > 0) out.provider = provider;
+  return out;
+}
+
+// Tools without side effects on tabs or shared storage, safe to run concurrently
+const PARALLEL_SAFE_TOOLS = new Set([
+  "get_page_content",
+  "search_tabs",
+  "todo_list",
+  "todo_summary",
+  "sheets_read_range",
+  "summarizer_availability",
+]);
+
+function generateToolCallId() {
+  return `call_${Date.now().toString(36)}${Math.random()
+    .toString(36)
+    .slice(2, 10)}`;
+}
+
+function parseToolArguments(toolCall) {
+  try {
+    const parsed = toolCall?.function?.arguments
+      ? JSON.parse(toolCall.function.arguments)
+      : {};
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+// Streamed reasoning_details arrive as fragments keyed by index; text pieces
+// of the same block are concatenated
+function mergeReasoningDetails(target, deltas) {
+  for (const delta of deltas) {
+    const index = typeof delta.index === "number" ? delta.index : target.length;
+    const current = target[index];
+    if (!current) {
+      target[index] = { ...delta };
+      continue;
+    }
+    for (const field of ["text", "summary", "data", "signature"]) {
+      if (typeof delta[field] === "string") {
+        current[field] = (current[field] || "") + delta[field];
+      }
+    }
+  }
+}
+
+// Streamed tool calls arrive as fragments keyed by index: the first fragment
+// carries the id and function name, later ones append to the arguments string.
+function mergeToolCallDeltas(toolCalls, deltas) {
+  for (const d of deltas) {
+    const index = typeof d.index === "number" ? d.index : toolCalls.length;
+    const current = toolCalls[index] || {
+      id: "",
+      type: "function",
+      function: { name: "", arguments: "" },
+    };
+    if (d.id) current.id = d.id;
+    if (d.type) current.type = d.type;
+    if (d.function?.name && !current.function.name) {
+      current.function.name = d.function.name;
+    }
+    if (d.function?.arguments) {
+      current.function.arguments += d.function.arguments;
+    }
+    toolCalls[index] = current;
+  }
 }
 
 // Automation functions for web interactions
@@ -765,9 +1494,49 @@ const SUMMARIZER_FUNCTIONS = [
   },
 ];
 
+// Retrieval over the user's open tabs. Executed in the background's
+// TabSearchIndex via the UI layer.
+const TAB_SEARCH_FUNCTIONS = [
+  {
+    name: "search_tabs",
+    description:
+      "Search the text of all open browser tabs and return the most relevant passages. Each result has the tab title, URL, passage number and a ready-made Markdown citation; cite every fact taken from a passage with its citation.",
+    parameters: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "Keywords or a question to search for",
+        },
+        limit: {
+          type: "number",
+          description: "Maximum number of passages (default 6, max 20)",
+        },
+        tabIds: {
+          type: "array",
+          items: { type: "number" },
+          description: "Only search these tabs",
+        },
+      },
+      required: ["query"],
+    },
+  },
+];
+
 export {
   OpenRouterClient,
+  OpenRouterError,
+  AuthError,
+  InsufficientCreditsError,
+  RateLimitError,
+  ModerationError,
+  ProviderError,
+  ContextLengthError,
+  classifyError,
+  parseRetryAfter,
+  mergeToolCallDeltas,
   AUTOMATION_FUNCTIONS,
   TODO_FUNCTIONS,
   SUMMARIZER_FUNCTIONS,
+  TAB_SEARCH_FUNCTIONS,
 };
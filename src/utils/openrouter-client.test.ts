@@ -0,0 +1,199 @@
+import {
+  AuthError,
+  ContextLengthError,
+  InsufficientCreditsError,
+  ModerationError,
+  OpenRouterClient,
+  OpenRouterError,
+  ProviderError,
+  RateLimitError,
+  classifyError,
+  mergeToolCallDeltas,
+  parseRetryAfter,
+  type ToolCall,
+} from "@/utils/openrouter-client.js";
+
+describe("classifyError", () => {
+  it.each([
+    [401, AuthError],
+    [402, InsufficientCreditsError],
+    [403, AuthError],
+    [408, ProviderError],
+    [502, ProviderError],
+    [400, OpenRouterError],
+  ])("maps status %i", (status, type) => {
+    const error = classifyError(status, { message: "failed" });
+    expect(error).toBeInstanceOf(type);
+    expect(error.constructor).toBe(type);
+    expect(error.status).toBe(status);
+    expect(error.message).toBe("failed");
+  });
+
+  it("keeps the Retry-After delay on rate limits", () => {
+    const error = classifyError(429, { message: "slow down" }, 5000);
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect((error as RateLimitError).retryAfterMs).toBe(5000);
+    expect(error.retryable).toBe(true);
+  });
+
+  it("tells moderation apart from other 403s", () => {
+    const error = classifyError(403, {
+      message: "Input was flagged",
+      metadata: { reasons: ["violence"] },
+    });
+    expect(error).toBeInstanceOf(ModerationError);
+    expect((error as ModerationError).reasons).toEqual(["violence"]);
+  });
+
+  it("recognizes context length errors by their message", () => {
+    const error = classifyError(400, {
+      message: "This model's maximum context length is 8192 tokens",
+    });
+    expect(error).toBeInstanceOf(ContextLengthError);
+    expect(error.retryable).toBe(false);
+  });
+
+  it("accepts plain text bodies and falls back to the status", () => {
+    expect(classifyError(500, "upstream timeout").message).toBe(
+      "upstream timeout"
+    );
+    expect(classifyError(500, null).message).toBe("OpenRouter API error: 500");
+  });
+});
+
+describe("parseRetryAfter", () => {
+  afterEach(() => jest.useRealTimers());
+
+  it("reads delta-seconds", () => {
+    expect(parseRetryAfter("3")).toBe(3000);
+    expect(parseRetryAfter("0")).toBe(0);
+  });
+
+  it("reads an HTTP date relative to now", () => {
+    jest.useFakeTimers().setSystemTime(new Date("2024-05-01T12:00:00Z"));
+    expect(parseRetryAfter("Wed, 01 May 2024 12:00:45 GMT")).toBe(45000);
+  });
+
+  it("does not return a negative wait for past dates", () => {
+    jest.useFakeTimers().setSystemTime(new Date("2024-05-01T12:00:00Z"));
+    expect(parseRetryAfter("Wed, 01 May 2024 11:00:00 GMT")).toBe(0);
+  });
+
+  it("ignores missing and unreadable values", () => {
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter("")).toBeNull();
+    expect(parseRetryAfter("soon")).toBeNull();
+  });
+});
+
+describe("mergeToolCallDeltas", () => {
+  it("joins argument fragments of the same call", () => {
+    const calls: ToolCall[] = [];
+    mergeToolCallDeltas(calls, [
+      {
+        index: 0,
+        id: "call_1",
+        type: "function",
+        function: { name: "navigate", arguments: '{"url":' },
+      },
+    ]);
+    mergeToolCallDeltas(calls, [
+      { index: 0, function: { arguments: '"https://a.test"}' } },
+    ]);
+    expect(calls).toEqual([
+      {
+        id: "call_1",
+        type: "function",
+        function: { name: "navigate", arguments: '{"url":"https://a.test"}' },
+      },
+    ]);
+  });
+
+  it("keeps parallel calls apart by index", () => {
+    const calls: ToolCall[] = [];
+    mergeToolCallDeltas(calls, [
+      { index: 0, id: "a", function: { name: "get_page", arguments: "" } },
+      { index: 1, id: "b", function: { name: "list_tabs", arguments: "{" } },
+    ]);
+    mergeToolCallDeltas(calls, [
+      { index: 1, function: { arguments: "}" } },
+      { index: 0, function: { arguments: "{}" } },
+    ]);
+    expect(
+      calls.map((c) => [c.id, c.function.name, c.function.arguments])
+    ).toEqual([
+      ["a", "get_page", "{}"],
+      ["b", "list_tabs", "{}"],
+    ]);
+  });
+
+  it("does not let a repeated name overwrite the first", () => {
+    const calls: ToolCall[] = [];
+    mergeToolCallDeltas(calls, [
+      { index: 0, id: "a", function: { name: "click" } },
+      { index: 0, function: { name: "click_again" } },
+    ]);
+    expect(calls[0].function.name).toBe("click");
+  });
+
+  it("appends fragments without an index as new calls", () => {
+    const calls: ToolCall[] = [];
+    mergeToolCallDeltas(calls, [
+      { id: "a", function: { name: "one", arguments: "{}" } },
+      { id: "b", function: { name: "two", arguments: "{}" } },
+    ]);
+    expect(calls.map((c) => c.id)).toEqual(["a", "b"]);
+  });
+});
+
+describe("tool message builders", () => {
+  const client = new OpenRouterClient("sk-test");
+  const call: ToolCall = {
+    id: "call_1",
+    type: "function",
+    function: { name: "get_page", arguments: "{}" },
+  };
+
+  it("echoes the assistant turn with its tool calls", () => {
+    expect(
+      client.buildAssistantToolCallMessage({ content: "" }, [call])
+    ).toEqual({ role: "assistant", content: null, tool_calls: [call] });
+  });
+
+  it("passes reasoning details back with the assistant turn", () => {
+    const details = [{ type: "reasoning.text", text: "..." }];
+    const message = client.buildAssistantToolCallMessage(
+      { content: "Looking", reasoning_details: details },
+      [call]
+    );
+    expect(message.content).toBe("Looking");
+    expect(message.reasoning_details).toBe(details);
+  });
+
+  it("links a tool result to its call", () => {
+    expect(client.buildToolResultMessage(call, "done")).toEqual({
+      role: "tool",
+      tool_call_id: "call_1",
+      name: "get_page",
+      content: "done",
+    });
+  });
+
+  it("serializes object and missing results", () => {
+    expect(client.buildToolResultMessage(call, { ok: true }).content).toBe(
+      '{"ok":true}'
+    );
+    expect(client.buildToolResultMessage(call, undefined).content).toBe("{}");
+  });
+
+  it("normalizes legacy function_call turns and fills in ids", () => {
+    const [normalized] = client.normalizeToolCalls({
+      function_call: { name: "navigate", arguments: { url: "https://a.test" } },
+    });
+    expect(normalized.id).toMatch(/^call_/);
+    expect(normalized.function).toEqual({
+      name: "navigate",
+      arguments: '{"url":"https://a.test"}',
+    });
+  });
+});